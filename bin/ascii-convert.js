@@ -0,0 +1,403 @@
+#!/usr/bin/env node
+/**
+ * ascii-convert - Convert PNG and JPEG files to ASCII art from the command line
+ * Runs the same conversion core as the web app; every page setting has a flag
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import pngjs from 'pngjs';
+import jpeg from 'jpeg-js';
+import { ASCIICore } from '../js/ASCIICore.js';
+import { ConversionSettings } from '../js/ConversionSettings.js';
+import { ExportService } from '../js/ExportService.js';
+import { GlyphCalibrator } from '../js/GlyphCalibrator.js';
+
+const USAGE = `Usage: ascii-convert <image.png|image.jpg> [options]
+
+Output
+  -o, --output <file>        Output file; text formats go to stdout when omitted
+  -f, --format <format>      txt, ans, html, svg or png (default: from --output, else txt)
+      --font-size <px>       Font size for png, svg and html (default 12)
+      --ansi-depth <depth>   truecolor, 256 or 16 (default truecolor)
+      --html-theme <theme>   dark or light (default dark)
+      --svg-font <family>    SVG font family
+      --svg-background <c>   SVG background color, or "none" (default #000000)
+
+Settings (same units as the page controls)
+      --settings <file>      Settings or presets file exported from the page
+      --preset <name>        Preset to use from a presets file
+      --sizing <mode>        scale, columns or fit (default scale)
+      --cols <n>             Target columns (columns and fit sizing)
+      --rows <n>             Target rows (optional for columns, required for fit)
+                             Without --sizing, --cols uses columns and both use fit
+      --scale <n>            Resolution scale: 0.25, 0.5, 1, 2 or 4 (default 1)
+      --pixel-size <n>       Block size, 1-10 (default 1)
+      --mode <mode>          ascii, edges, halfblock, quadrant or braille (default ascii)
+      --edge-threshold <n>   Edge threshold, 1-100 (default 25)
+      --edge-blend <n>       Edge fill blend, 0-100 (default 50)
+      --braille-threshold <n> Braille dot threshold, 1-99 (default 50)
+      --ramp <preset>        classic, full, blocks, digits or custom (default full)
+      --custom-ramp <chars>  Characters for the custom ramp, light to dark
+      --aspect <value>       auto, or a cell width/height ratio such as 0.6
+      --dither <mode>        none, bayer2, bayer4, bayer8, floyd-steinberg, atkinson,
+                             jarvis-judice-ninke or noise (default none)
+      --dither-seed <n>      Noise dither seed (default 1)
+      --color <mode>         full, monochrome, grayscale, ansi16, xterm256, custom
+                             or background (default full)
+      --ink <color>          Monochrome ink color (default #00ff00)
+      --palette <colors>     Custom palette, e.g. "#000000 #00ff00 #ffffff"
+
+Adjustments
+      --brightness <n>       -100 to 100
+      --contrast <n>         -100 to 100
+      --gamma <n>            0.1 to 3
+      --saturation <n>       -100 to 100
+      --blur <n>             0 to 10
+      --sharpen <n>          0 to 100
+      --invert, --auto-levels, --equalize
+
+Region
+      --rotate <degrees>     0, 90, 180 or 270, clockwise
+      --flip-h, --flip-v     Mirror after rotating
+      --crop <x,y,w,h>       Crop in pixels of the rotated image
+
+PNG output, font-measured ramps and --aspect auto use the optional
+@napi-rs/canvas package. Without it ramps are spaced evenly and cells are 0.6.
+The web app measures Courier New; when the package or that font is missing,
+output can differ from the page and a warning is printed.
+`;
+
+// Flags that map straight onto a setting
+const SETTING_FLAGS = {
+    'font-size': 'downloadQuality',
+    'ansi-depth': 'ansiDepth',
+    'html-theme': 'htmlTheme',
+    'svg-font': 'svgFontFamily',
+    'sizing': 'sizingMode',
+    'cols': 'targetCols',
+    'rows': 'targetRows',
+    'scale': 'scale',
+    'pixel-size': 'pixelSize',
+    'mode': 'renderMode',
+    'edge-threshold': 'edgeThreshold',
+    'edge-blend': 'edgeBlend',
+    'braille-threshold': 'brailleThreshold',
+    'ramp': 'rampPreset',
+    'custom-ramp': 'customRamp',
+    'dither': 'ditherMode',
+    'dither-seed': 'ditherSeed',
+    'color': 'colorMode',
+    'ink': 'inkColor',
+    'palette': 'customPalette'
+};
+
+const ADJUSTMENT_FLAGS = {
+    'brightness': 'brightness',
+    'contrast': 'contrast',
+    'gamma': 'gamma',
+    'saturation': 'saturation',
+    'blur': 'blur',
+    'sharpen': 'sharpen',
+    'invert': 'invert',
+    'auto-levels': 'autoLevels',
+    'equalize': 'equalize'
+};
+
+const NUMBER_FLAGS = [
+    'font-size', 'cols', 'rows', 'scale', 'pixel-size', 'edge-threshold', 'edge-blend',
+    'braille-threshold', 'dither-seed', 'brightness', 'contrast', 'gamma', 'saturation',
+    'blur', 'sharpen', 'rotate'
+];
+
+const BOOLEAN_FLAGS = ['invert', 'auto-levels', 'equalize', 'flip-h', 'flip-v', 'help'];
+
+const FORMATS = ['txt', 'ans', 'html', 'svg', 'png'];
+
+// Font the web app measures glyphs in and exports with
+const PAGE_FONT = 'Courier New';
+
+// Installed fonts tried, in order, for the generic monospace family
+const MONOSPACE_FONTS = ['Courier New', 'Liberation Mono', 'DejaVu Sans Mono', 'Noto Sans Mono', 'Menlo', 'Consolas'];
+
+/**
+ * Build the parseArgs option table
+ * @returns {Object} Options for util.parseArgs
+ */
+function getOptionTable() {
+    const options = {
+        output: { type: 'string', short: 'o' },
+        format: { type: 'string', short: 'f' },
+        help: { type: 'boolean', short: 'h' },
+        settings: { type: 'string' },
+        preset: { type: 'string' },
+        aspect: { type: 'string' },
+        crop: { type: 'string' },
+        'svg-background': { type: 'string' }
+    };
+
+    for (const flag of [...Object.keys(SETTING_FLAGS), ...Object.keys(ADJUSTMENT_FLAGS), ...NUMBER_FLAGS, ...BOOLEAN_FLAGS]) {
+        if (!options[flag]) {
+            options[flag] = { type: BOOLEAN_FLAGS.includes(flag) ? 'boolean' : 'string' };
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Parse a numeric flag
+ * @param {string} flag - Flag name
+ * @param {string} value - Flag value
+ * @returns {number} Parsed number
+ */
+function parseNumber(flag, value) {
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number)) {
+        throw new Error(`--${flag} needs a number, got "${value}".`);
+    }
+    return number;
+}
+
+/**
+ * Load settings from a file exported by the page
+ * Accepts a presets file (with --preset when it holds more than one) or a plain settings object
+ * @param {string} path - File path
+ * @param {string|undefined} presetName - Preset to pick
+ * @returns {Promise<Object>} Settings
+ */
+async function loadSettingsFile(path, presetName) {
+    let data;
+    try {
+        data = JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read settings from ${path}: ${error.message}`);
+    }
+
+    if (!Array.isArray(data.presets)) {
+        return data;
+    }
+
+    const preset = presetName
+        ? data.presets.find(p => p.name === presetName)
+        : data.presets.length === 1 ? data.presets[0] : null;
+
+    if (!preset) {
+        const names = data.presets.map(p => `"${p.name}"`).join(', ');
+        throw new Error(presetName
+            ? `No preset named "${presetName}" in ${path}. Presets: ${names}`
+            : `${path} holds several presets; choose one with --preset. Presets: ${names}`);
+    }
+
+    return preset.settings;
+}
+
+/**
+ * Combine the settings file and flags into page settings
+ * @param {Object} values - Parsed flag values
+ * @returns {Promise<Object>} Settings, see UIController.getSettings
+ */
+async function buildSettings(values) {
+    const base = values.settings ? await loadSettingsFile(values.settings, values.preset) : {};
+    const settings = { ...base, adjustments: { ...base.adjustments } };
+
+    for (const [flag, name] of Object.entries(SETTING_FLAGS)) {
+        if (values[flag] !== undefined) {
+            settings[name] = NUMBER_FLAGS.includes(flag) ? parseNumber(flag, values[flag]) : values[flag];
+        }
+    }
+
+    for (const [flag, name] of Object.entries(ADJUSTMENT_FLAGS)) {
+        if (values[flag] !== undefined) {
+            settings.adjustments[name] = NUMBER_FLAGS.includes(flag) ? parseNumber(flag, values[flag]) : values[flag];
+        }
+    }
+
+    // Sizing flags imply their mode unless one was given
+    if ((values.cols !== undefined || values.rows !== undefined) && values.sizing === undefined && !base.sizingMode) {
+        settings.sizingMode = values.rows !== undefined && values.cols !== undefined ? 'fit' : 'columns';
+    }
+
+    if (values.aspect !== undefined) {
+        if (values.aspect === 'auto') {
+            settings.aspectMode = 'auto';
+        } else {
+            settings.aspectMode = 'manual';
+            settings.cellAspect = parseNumber('aspect', values.aspect);
+        }
+    }
+
+    if (values['svg-background'] !== undefined) {
+        settings.svgBackgroundEnabled = values['svg-background'] !== 'none';
+        if (settings.svgBackgroundEnabled) {
+            settings.svgBackground = values['svg-background'];
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * Decode a PNG or JPEG file
+ * @param {Buffer} buffer - File contents
+ * @param {string} path - File path, for messages
+ * @returns {Object} Pixels { data, width, height }
+ */
+function decodeImage(buffer, path) {
+    let image;
+
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        image = pngjs.PNG.sync.read(buffer);
+    } else if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    } else {
+        throw new Error(`${path} is not a PNG or JPEG image.`);
+    }
+
+    return {
+        data: new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.length),
+        width: image.width,
+        height: image.height
+    };
+}
+
+/**
+ * Build the region from the rotation, flip and crop flags
+ * @param {Object} values - Parsed flag values
+ * @param {Object} image - Decoded image
+ * @returns {Object|null} Region, see ImageProcessor.drawRegion, or null for the whole image
+ */
+function buildRegion(values, image) {
+    const rotation = values.rotate === undefined ? 0 : parseNumber('rotate', values.rotate);
+    if (![0, 90, 180, 270].includes(rotation)) {
+        throw new Error('--rotate must be 0, 90, 180 or 270.');
+    }
+
+    if (rotation === 0 && !values['flip-h'] && !values['flip-v'] && values.crop === undefined) {
+        return null;
+    }
+
+    const width = rotation % 180 === 0 ? image.width : image.height;
+    const height = rotation % 180 === 0 ? image.height : image.width;
+    let crop = null;
+
+    if (values.crop !== undefined) {
+        const parts = values.crop.split(',').map(part => parseNumber('crop', part));
+        const [x, y, w, h] = parts;
+        if (parts.length !== 4 || x < 0 || y < 0 || w < 1 || h < 1 || x + w > width || y + h > height) {
+            throw new Error(`--crop must be x,y,width,height inside the ${width}x${height} rotated image.`);
+        }
+        crop = { x: x / width, y: y / height, width: w / width, height: h / height };
+    }
+
+    return { rotation, flipH: !!values['flip-h'], flipV: !!values['flip-v'], crop };
+}
+
+/**
+ * Load the optional canvas package
+ * @returns {Promise<Object|null>} { createCanvas, font } with the font glyphs are drawn in,
+ *     or null when the package is not installed
+ */
+async function loadCanvas() {
+    let canvas;
+    try {
+        canvas = await import('@napi-rs/canvas');
+    } catch (error) {
+        return null;
+    }
+
+    // Skia does not resolve the generic "monospace" that the page's font lists end with
+    const { GlobalFonts } = canvas;
+    const monospace = MONOSPACE_FONTS.find(family => GlobalFonts.has(family));
+    if (monospace) {
+        GlobalFonts.setAlias(monospace, 'monospace');
+    }
+
+    return { createCanvas: canvas.createCanvas, font: monospace || null };
+}
+
+/**
+ * Explain where the output can differ from the web app
+ * @param {Object|null} canvas - Result of loadCanvas
+ * @param {Object} config - Configuration, see ConversionSettings.toConfig
+ * @param {string} format - Output format
+ * @returns {string|null} Warning, or null when glyphs are measured as on the page
+ */
+function getFontWarning(canvas, config, format) {
+    const measured = config.renderMode === 'ascii' || config.renderMode === 'edges' || config.aspectMode === 'auto';
+
+    if (!canvas) {
+        return measured
+            ? '@napi-rs/canvas is not installed, so glyphs are not measured: ramps are spaced evenly and --aspect auto uses 0.6. Output can differ from the web app.'
+            : null;
+    }
+    if (canvas.font !== PAGE_FONT && (measured || format === 'png')) {
+        return `${PAGE_FONT} is not installed, so glyphs are measured and drawn in ${canvas.font || 'the default font'}. Output can differ from the web app.`;
+    }
+    return null;
+}
+
+/**
+ * Run the command line
+ * @param {string[]} args - Arguments after the script name
+ */
+async function main(args) {
+    const { values, positionals } = parseArgs({ args, options: getOptionTable(), allowPositionals: true });
+
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (positionals.length !== 1) {
+        throw new Error('Give exactly one input image. Run with --help for usage.');
+    }
+
+    const format = values.format || (values.output ? extname(values.output).slice(1).toLowerCase() : 'txt');
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${format}". Use ${FORMATS.join(', ')}.`);
+    }
+    if (format === 'png' && !values.output) {
+        throw new Error('PNG output needs --output.');
+    }
+
+    const [input] = positionals;
+    const image = decodeImage(await readFile(input), input);
+    const config = new ConversionSettings().toConfig(await buildSettings(values));
+    const region = buildRegion(values, image);
+
+    const canvas = await loadCanvas();
+    if (format === 'png' && !canvas) {
+        throw new Error('PNG output needs the @napi-rs/canvas package: npm install @napi-rs/canvas');
+    }
+
+    const createCanvas = canvas ? canvas.createCanvas : null;
+    const calibrator = createCanvas ? new GlyphCalibrator(undefined, undefined, createCanvas) : null;
+    const result = await new ASCIICore(calibrator).convert(image, config, region);
+    const exportService = new ExportService(createCanvas);
+
+    const warning = getFontWarning(canvas, config, format);
+    if (warning) {
+        process.stderr.write(`ascii-convert: warning: ${warning}\n`);
+    }
+
+    const contents = format === 'png'
+        ? exportService.createDownloadCanvas(result, config.downloadQuality).toBuffer('image/png')
+        : await exportService.createExportFile(result, format, {
+            fontSize: config.downloadQuality,
+            ansiDepth: config.ansiDepth,
+            svgFontFamily: config.svgFontFamily,
+            svgBackground: config.svgBackground,
+            htmlTheme: config.htmlTheme
+        });
+
+    if (values.output) {
+        await writeFile(values.output, contents);
+    } else {
+        process.stdout.write(contents.endsWith('\n') ? contents : contents + '\n');
+    }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    process.stderr.write(`ascii-convert: ${error.message}\n`);
+    process.exitCode = 1;
+});
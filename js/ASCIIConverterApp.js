@@ -2,22 +2,52 @@
  * ASCIIConverterApp - Main application orchestrator
  * Follows Dependency Inversion Principle and coordinates all components
  */
-import { ASCIIProcessor } from './ASCIIProcessor.js';
+import { ConversionService } from './ConversionService.js';
+import { GlyphCalibrator } from './GlyphCalibrator.js';
+import { ImageAdjustments } from './ImageAdjustments.js';
 import { ImageProcessor } from './ImageProcessor.js';
+import { LiveConverter } from './LiveConverter.js';
+import { AnimationPlayer } from './AnimationPlayer.js';
+import { BatchProcessor } from './BatchProcessor.js';
+import { GridSizer } from './GridSizer.js';
+import { ASCIICore } from './ASCIICore.js';
+import { SettingsStore } from './SettingsStore.js';
+import { HistoryStore } from './HistoryStore.js';
+import { GridEditor } from './GridEditor.js';
+import { PreviewScheduler } from './PreviewScheduler.js';
 import { ExportService } from './ExportService.js';
 import { UIController } from './UIController.js';
 
 export class ASCIIConverterApp {
     constructor() {
         // Initialize dependencies (Dependency Injection)
-        this.asciiProcessor = new ASCIIProcessor();
+        this.conversionService = new ConversionService();
+        this.asciiCore = new ASCIICore(new GlyphCalibrator());
+        this.imageAdjustments = new ImageAdjustments();
         this.imageProcessor = new ImageProcessor();
+        this.gridSizer = new GridSizer();
+        this.settingsStore = new SettingsStore();
+        this.historyStore = new HistoryStore();
+        this.gridEditor = new GridEditor();
+        this.previewScheduler = new PreviewScheduler(this.conversionService);
+        this.liveConverter = new LiveConverter(this.imageProcessor, new ConversionService());
+        this.animationPlayer = new AnimationPlayer();
         this.exportService = new ExportService();
+        this.batchProcessor = new BatchProcessor(this.imageProcessor, new ConversionService(), this.exportService);
         this.uiController = new UIController();
         
         // Application state
         this.currentImage = null;
+        this.currentAnimation = null;
+        this.currentSourceFile = null;
+        this.sourceRegion = this.createSourceRegion();
         this.currentASCII = null;
+        this.liveRecording = null;
+        this.batchFiles = [];
+        this.adjustmentThumbnail = null;
+        this.adjustmentPreviewPending = false;
+        this.HISTORY_THUMBNAIL_SIZE = 160;
+        this.DRAFT_MAX_CELLS = 6000; // Larger previews show a coarse draft first
         
         this.initialize();
     }
@@ -27,6 +57,8 @@ export class ASCIIConverterApp {
      */
     initialize() {
         this.setupEventHandlers();
+        this.restoreSettings();
+        this.refreshHistory();
         this.checkCameraSupport();
         this.setupCleanup();
     }
@@ -63,13 +95,62 @@ export class ASCIIConverterApp {
     setupEventHandlers() {
         const callbacks = {
             onFileUpload: (event) => this.handleFileUpload(event),
+            onFilesDropped: (files) => this.handleFilesDropped(files),
+            onBatchAdd: (files) => this.handleBatchAdd(files),
+            onBatchClear: () => this.handleBatchAdd(null),
+            onBatchRun: () => this.handleBatchRun(),
+            onBatchCancel: () => this.batchProcessor.cancel(),
+            onPaste: (file) => this.loadFile(file),
+            onUrlLoad: (url) => this.handleUrlLoad(url),
             onCameraOpen: () => this.handleCameraOpen(),
             onCapture: () => this.handleCapture(),
             onCameraClose: () => this.handleCameraClose(),
+            onLiveToggle: () => this.handleLiveToggle(),
+            onFreezeFrame: () => this.handleFreezeFrame(),
+            onRecordToggle: () => this.handleRecordToggle(),
             onGenerate: () => this.handleGenerate(),
+            onCancel: () => this.handleCancel(),
             onCopy: () => this.handleCopy(),
             onDownload: () => this.handleDownload(),
-            onResize: () => this.handleResize()
+            onCopyANSI: () => this.handleCopyANSI(),
+            onDownloadANSI: () => this.handleDownloadANSI(),
+            onDownloadSVG: () => this.handleDownloadSVG(),
+            onDownloadHTML: () => this.handleDownloadHTML(),
+            onDownloadGIF: () => this.handleAnimationExport('downloadGIFBtn', 'downloadAsGIF', 'Error exporting GIF'),
+            onDownloadWebM: () => this.handleAnimationExport('downloadWebMBtn', 'downloadAsWebM', 'Error exporting WebM'),
+            onDownloadFrames: () => this.handleAnimationExport('downloadFramesBtn', 'downloadAsFrameSequence', 'Error exporting frames'),
+            onResize: () => this.handleResize(),
+            onVideoFpsChange: () => this.handleVideoFpsChange(),
+            onSvgSizeChange: () => this.handleSvgSizeChange(),
+            onSizingChange: () => this.updateGridSizeDisplay(),
+            onSettingsChange: () => this.saveSettings(),
+            onPreviewSettingsChange: () => this.scheduleAutoPreview(),
+            onEditToggle: (editing) => this.handleEditToggle(editing),
+            onEditorToolChange: (tool) => this.handleEditorToolChange(tool),
+            onBrushChange: (brush) => this.gridEditor.setBrush(brush),
+            onEditPointer: (phase, col, row) => this.applyEdit(this.gridEditor.handlePointer(phase, col, row)),
+            onEditKey: (key) => this.handleEditKey(key),
+            onUndo: () => this.handleUndo(),
+            onRedo: () => this.handleRedo(),
+            onHistoryOpen: (id) => this.handleHistoryOpen(id),
+            onHistoryCompare: (id) => this.handleHistoryCompare(id),
+            onHistoryDelete: (id) => this.handleHistoryDelete(id),
+            onHistoryClear: () => this.handleHistoryClear(),
+            onPresetApply: (name) => this.handlePresetApply(name),
+            onPresetSave: (name) => this.handlePresetSave(name),
+            onPresetRename: (oldName, newName) => this.handlePresetRename(oldName, newName),
+            onPresetDelete: (name) => this.handlePresetDelete(name),
+            onPresetExport: () => this.handlePresetExport(),
+            onPresetImport: (file) => this.handlePresetImport(file),
+            onCropChange: (crop) => this.handleCropChange(crop),
+            onCropAspectChange: () => this.handleCropAspectChange(),
+            onRotate: (degrees) => this.handleRotate(degrees),
+            onFlip: (axis) => this.handleFlip(axis),
+            onCropReset: () => this.handleCropReset(),
+            onPlayPause: () => this.animationPlayer.toggle(),
+            onScrub: (index) => this.animationPlayer.seek(index),
+            onAdjustmentsChange: () => this.updateAdjustmentPreview(),
+            onResetAdjustments: () => this.handleResetAdjustments()
         };
         
         this.uiController.setupEventListeners(callbacks);
@@ -80,9 +161,110 @@ export class ASCIIConverterApp {
      * @param {Event} event - File input change event
      */
     async handleFileUpload(event) {
-        const file = this.uiController.getUploadedFile();
+        await this.loadFile(this.uiController.getUploadedFile());
+    }
+
+    /**
+     * Load a single dropped file, or queue several for batch conversion
+     * @param {File[]} files - Dropped files
+     */
+    async handleFilesDropped(files) {
+        if (files.length > 1) {
+            this.handleBatchAdd(files);
+        } else {
+            await this.loadFile(files[0]);
+        }
+    }
+
+    /**
+     * Add files to the batch queue, or clear it
+     * @param {File[]|null} files - Files to add, or null to clear the queue
+     */
+    handleBatchAdd(files) {
+        this.batchFiles = files ? [...this.batchFiles, ...files] : [];
+        this.uiController.renderBatchQueue(this.batchFiles);
+    }
+
+    /**
+     * Convert every queued file with the current settings and download a ZIP
+     */
+    async handleBatchRun() {
+        const config = this.uiController.getCurrentConfig();
+        const files = this.batchFiles;
+
+        if (config.batchFormats.length === 0) {
+            this.uiController.showError('Choose at least one output format for the batch.');
+            return;
+        }
+
+        let options;
+        try {
+            options = this.asciiCore.buildConversionOptions(config);
+        } catch (error) {
+            this.uiController.showError(error.message);
+            return;
+        }
+
+        this.uiController.renderBatchQueue(files);
+        this.uiController.setBatchRunningState(true, files.length);
+
+        try {
+            const { blob, converted, failures } = await this.batchProcessor.run(files, {
+                sizing: this.asciiCore.buildSizing(config, options.cellAspect),
+                options,
+                formats: config.batchFormats,
+                svgRasterSize: config.svgRasterSize,
+                exportOptions: {
+                    fontSize: config.downloadQuality,
+                    ansiDepth: config.ansiDepth,
+                    svgFontFamily: config.svgFontFamily,
+                    svgBackground: config.svgBackground,
+                    htmlTheme: config.htmlTheme
+                }
+            }, (index, status, message) => this.uiController.setBatchItemStatus(index, status, message));
+
+            if (converted > 0) {
+                this.exportService.downloadBlob(blob, `ascii-batch-${Date.now()}.zip`);
+            }
+            if (failures.length > 0) {
+                this.uiController.showError(`${failures.length} of ${files.length} files could not be converted. See the queue for details.`);
+            }
+        } catch (error) {
+            if (!this.conversionService.isCancellation(error)) {
+                this.uiController.showError('Batch conversion failed: ' + error.message);
+            }
+        } finally {
+            this.uiController.setBatchRunningState(false, this.batchFiles.length);
+        }
+    }
+
+    /**
+     * Handle loading an image from a URL
+     * @param {string} url - Image URL
+     */
+    async handleUrlLoad(url) {
+        if (!url) {
+            this.uiController.showError('Enter an image URL first.');
+            return;
+        }
+
+        try {
+            const file = await this.imageProcessor.loadFileFromUrl(url);
+            await this.loadFile(file);
+        } catch (error) {
+            this.uiController.showError('Could not load image from URL: ' + error.message);
+        }
+    }
+
+    /**
+     * Validate a file from any input source and make it the conversion source
+     * @param {File} file - Uploaded, dropped, pasted or downloaded file
+     */
+    async loadFile(file) {
         if (!file) return;
 
+        file = this.imageProcessor.normalizeFile(file);
+
         // Validate file
         const validation = this.imageProcessor.validateFile(file);
         if (!validation.valid) {
@@ -90,18 +272,510 @@ export class ASCIIConverterApp {
             return;
         }
 
+        if (this.imageProcessor.isVideo(file)) {
+            await this.loadVideo(file);
+            return;
+        }
+
         try {
+            if (this.imageProcessor.isSvg(file)) {
+                const config = this.uiController.getCurrentConfig();
+                this.setCurrentImage(await this.imageProcessor.loadSvgFromFile(file, config.svgRasterSize));
+                this.currentSourceFile = file;
+                return;
+            }
+
+            if (this.imageProcessor.isGif(file)) {
+                const animation = await this.imageProcessor.loadGifFrames(file);
+                if (animation.frames.length > 1) {
+                    this.setCurrentAnimation(animation);
+                    return;
+                }
+            }
+
             // Load image
-            this.currentImage = await this.imageProcessor.loadImageFromFile(file);
+            const image = await this.imageProcessor.loadImageFromFile(file);
             
             // Update UI
-            this.uiController.displayImagePreview(this.currentImage);
+            this.setCurrentImage(image);
             
         } catch (error) {
             this.uiController.showError('Error loading image. Please try a different file.');
         }
     }
 
+    /**
+     * Sample a video file into animation frames at the chosen rate
+     * @param {File} file - Video file
+     */
+    async loadVideo(file) {
+        const config = this.uiController.getCurrentConfig();
+
+        try {
+            this.uiController.showOriginalMessage('[ SAMPLING VIDEO... 0% ]');
+            const animation = await this.imageProcessor.loadVideoFrames(file, config.videoFps, (progress) => {
+                this.uiController.showOriginalMessage(`[ SAMPLING VIDEO... ${progress}% ]`);
+            });
+
+            this.setCurrentAnimation(animation);
+            this.currentSourceFile = file;
+        } catch (error) {
+            // Put back whatever was loaded before sampling started
+            if (this.currentImage) {
+                this.showSourcePreview();
+            } else {
+                this.uiController.showOriginalMessage('[ NO IMAGE LOADED YET ]');
+            }
+            this.uiController.showError('Error loading video. Please try a different file.');
+        }
+    }
+
+    /**
+     * Resample the loaded video when the sample rate changes
+     */
+    async handleVideoFpsChange() {
+        if (this.currentSourceFile && this.imageProcessor.isVideo(this.currentSourceFile)) {
+            await this.reloadSource(() => this.loadVideo(this.currentSourceFile));
+        }
+    }
+
+    /**
+     * Rasterize the loaded SVG again when the raster size changes
+     */
+    async handleSvgSizeChange() {
+        if (this.currentSourceFile && this.imageProcessor.isSvg(this.currentSourceFile)) {
+            await this.reloadSource(() => this.loadFile(this.currentSourceFile));
+        }
+    }
+
+    /**
+     * Load the current source again without losing its crop and orientation
+     * @param {Function} reload - Loads the source; resolves when done
+     */
+    async reloadSource(reload) {
+        const region = this.sourceRegion;
+        await reload();
+
+        this.sourceRegion = region;
+        this.showSourcePreview();
+        this.handleSourceRegionChange();
+    }
+
+    /**
+     * Make an image the conversion source and refresh its previews
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Loaded image or first animation frame
+     */
+    setCurrentImage(image) {
+        this.animationPlayer.unload();
+        this.currentImage = image;
+        this.currentAnimation = null;
+        this.currentSourceFile = null;
+        this.sourceRegion = this.createSourceRegion();
+        this.adjustmentThumbnail = null;
+        this.uiController.displayImagePreview(image);
+        this.updateAdjustmentPreview();
+        this.updateGridSizeDisplay();
+
+        // Keep an aspect or terminal preset applied from image to image
+        this.handleCropAspectChange();
+        this.scheduleAutoPreview();
+    }
+
+    /**
+     * Create the default region: whole image, upright
+     * @returns {Object} Region settings, see ImageProcessor.drawRegion
+     */
+    createSourceRegion() {
+        return { rotation: 0, flipH: false, flipV: false, crop: null };
+    }
+
+    /**
+     * Show the current image, rotated and flipped, with its crop rectangle
+     */
+    showSourcePreview() {
+        this.uiController.showOriginalImage(
+            this.imageProcessor.createOrientedPreview(this.currentImage, this.sourceRegion),
+            this.sourceRegion.crop
+        );
+    }
+
+    /**
+     * Refresh everything that depends on the selected region
+     */
+    handleSourceRegionChange() {
+        this.adjustmentThumbnail = null;
+        this.updateAdjustmentPreview();
+        this.updateGridSizeDisplay();
+        this.scheduleAutoPreview();
+    }
+
+    /**
+     * Handle a crop rectangle drawn or moved on the preview
+     * @param {Object|null} crop - Crop { x, y, width, height } as fractions, or null for the whole image
+     */
+    handleCropChange(crop) {
+        this.sourceRegion.crop = crop;
+        this.handleSourceRegionChange();
+    }
+
+    /**
+     * Lock the crop to the chosen ratio; terminal presets also size the output to that terminal
+     */
+    handleCropAspectChange() {
+        if (!this.currentImage) return;
+
+        const config = this.uiController.getCurrentConfig();
+        const terminal = config.cropAspect.match(/^(\d+)x(\d+)$/);
+        const ratio = config.cropAspect.match(/^(\d+):(\d+)$/);
+        let aspect = null;
+
+        if (terminal) {
+            const cols = parseInt(terminal[1]);
+            const rows = parseInt(terminal[2]);
+
+            // Region shape that fills cols x rows cells without distortion
+            aspect = (cols / rows) * this.asciiCore.resolveCellAspect(config);
+            this.uiController.setTargetGrid(cols, rows);
+        } else if (ratio) {
+            aspect = parseInt(ratio[1]) / parseInt(ratio[2]);
+        } else if (config.cropAspect === 'original') {
+            const { width, height } = this.imageProcessor.getOrientedSize(this.currentImage, this.sourceRegion);
+            aspect = width / height;
+        }
+
+        this.uiController.setCropAspect(aspect);
+    }
+
+    /**
+     * Rotate the image by a quarter turn, carrying the crop along
+     * @param {number} degrees - 90 for clockwise, -90 for counter-clockwise
+     */
+    handleRotate(degrees) {
+        if (!this.currentImage) return;
+
+        const region = this.sourceRegion;
+        const crop = region.crop;
+
+        // Flips apply after rotation, so with a single flip the stored rotation turns the other way
+        const turn = region.flipH !== region.flipV ? -degrees : degrees;
+        region.rotation = (region.rotation + turn + 360) % 360;
+
+        if (crop) {
+            region.crop = degrees > 0
+                ? { x: 1 - crop.y - crop.height, y: crop.x, width: crop.height, height: crop.width }
+                : { x: crop.y, y: 1 - crop.x - crop.width, width: crop.height, height: crop.width };
+        }
+
+        this.showSourcePreview();
+        this.handleCropAspectChange();
+        this.handleSourceRegionChange();
+    }
+
+    /**
+     * Mirror the image, carrying the crop along
+     * @param {string} axis - 'flipH' or 'flipV'
+     */
+    handleFlip(axis) {
+        if (!this.currentImage) return;
+
+        const region = this.sourceRegion;
+        region[axis] = !region[axis];
+
+        if (region.crop) {
+            region.crop = axis === 'flipH'
+                ? { ...region.crop, x: 1 - region.crop.x - region.crop.width }
+                : { ...region.crop, y: 1 - region.crop.y - region.crop.height };
+        }
+
+        this.showSourcePreview();
+        this.handleSourceRegionChange();
+    }
+
+    /**
+     * Drop rotation, flips and crop
+     */
+    handleCropReset() {
+        if (!this.currentImage) return;
+
+        this.sourceRegion = this.createSourceRegion();
+        this.showSourcePreview();
+        this.handleCropAspectChange();
+        this.handleSourceRegionChange();
+    }
+
+    /**
+     * Show the grid size the current settings will produce for the loaded image
+     */
+    updateGridSizeDisplay() {
+        if (!this.currentImage) {
+            this.uiController.updateGridSizeDisplay(null);
+            return;
+        }
+
+        try {
+            const config = this.uiController.getCurrentConfig();
+            const sizing = this.asciiCore.buildSizing(config, this.asciiCore.resolveCellAspect(config));
+            const { width, height } = this.imageProcessor.getRegionSize(this.currentImage, this.sourceRegion);
+            this.uiController.updateGridSizeDisplay(this.gridSizer.getOutputGrid(width, height, sizing));
+        } catch (error) {
+            // Incomplete sizing input; the error is reported when generating
+            this.uiController.updateGridSizeDisplay(null);
+        }
+    }
+
+    /**
+     * Restore the settings of the last visit and list saved presets
+     */
+    restoreSettings() {
+        const settings = this.settingsStore.loadLastSettings();
+        if (settings) {
+            this.uiController.applySettings(settings);
+        }
+        this.uiController.renderPresets(this.settingsStore.getPresets());
+    }
+
+    /**
+     * Remember the current settings for the next visit
+     */
+    saveSettings() {
+        this.settingsStore.saveLastSettings(this.uiController.getSettings());
+    }
+
+    /**
+     * Apply a saved preset to the form
+     * @param {string} name - Preset name
+     */
+    handlePresetApply(name) {
+        const preset = this.settingsStore.getPreset(name);
+        if (!preset) {
+            this.uiController.showError(`Preset "${name}" no longer exists.`);
+            this.uiController.renderPresets(this.settingsStore.getPresets());
+            return;
+        }
+
+        this.uiController.applySettings(preset.settings);
+        this.saveSettings();
+    }
+
+    /**
+     * Save the current settings as a preset
+     * @param {string} name - Preset name
+     */
+    handlePresetSave(name) {
+        try {
+            const savedName = this.settingsStore.savePreset(name, this.uiController.getSettings());
+            this.uiController.renderPresets(this.settingsStore.getPresets(), savedName);
+        } catch (error) {
+            this.uiController.showError(error.message);
+        }
+    }
+
+    /**
+     * Rename the selected preset
+     * @param {string} oldName - Selected preset
+     * @param {string} newName - Entered name
+     */
+    handlePresetRename(oldName, newName) {
+        try {
+            const renamed = this.settingsStore.renamePreset(oldName, newName);
+            this.uiController.renderPresets(this.settingsStore.getPresets(), renamed);
+        } catch (error) {
+            this.uiController.showError(error.message);
+        }
+    }
+
+    /**
+     * Delete the selected preset
+     * @param {string} name - Preset name
+     */
+    handlePresetDelete(name) {
+        try {
+            this.settingsStore.deletePreset(name);
+        } catch (error) {
+            this.uiController.showError(error.message);
+        }
+        this.uiController.renderPresets(this.settingsStore.getPresets());
+    }
+
+    /**
+     * Download all presets as a JSON file
+     */
+    handlePresetExport() {
+        const blob = new Blob([this.settingsStore.exportPresets()], { type: 'application/json' });
+        this.exportService.downloadBlob(blob, `ascii-presets-${Date.now()}.json`);
+    }
+
+    /**
+     * Add presets from a JSON file
+     * @param {File} file - Exported presets file
+     */
+    async handlePresetImport(file) {
+        try {
+            const names = this.settingsStore.importPresets(await file.text());
+            this.uiController.renderPresets(this.settingsStore.getPresets(), names.length === 1 ? names[0] : '');
+        } catch (error) {
+            this.uiController.showError('Error importing presets: ' + error.message);
+        }
+    }
+
+    /**
+     * Reload the history gallery and storage indicator
+     */
+    async refreshHistory() {
+        try {
+            const entries = await this.historyStore.list();
+            this.uiController.renderHistory(entries);
+            this.uiController.updateStorageUsage(await this.historyStore.getUsage(), entries.length);
+        } catch (error) {
+            this.uiController.showHistoryUnavailable(error.message);
+        }
+    }
+
+    /**
+     * Store the current result with its source thumbnail and settings
+     * @param {Object} config - Configuration the result was generated with
+     */
+    async saveToHistory(config) {
+        const asciiResult = this.currentASCII;
+
+        try {
+            const thumbnailData = this.imageProcessor.getThumbnailData(
+                this.currentImage, this.sourceRegion, this.HISTORY_THUMBNAIL_SIZE
+            );
+            const canvas = this.imageProcessor.createFrameCanvas(thumbnailData.width, thumbnailData.height);
+            canvas.getContext('2d').putImageData(thumbnailData, 0, 0);
+
+            await this.historyStore.add({
+                thumbnail: await this.exportService.canvasToBlob(canvas),
+                settings: this.uiController.getSettings(),
+                cols: asciiResult.width,
+                rows: asciiResult.height,
+                renderMode: config.renderMode,
+                frameCount: asciiResult.frames ? asciiResult.frames.length : 1
+            }, asciiResult);
+        } catch (error) {
+            // Shown in the history panel rather than an alert after every Generate
+            this.uiController.showHistoryUnavailable(error.message);
+            return;
+        }
+
+        await this.refreshHistory();
+    }
+
+    /**
+     * Make a saved result current again, with the settings it was made with
+     * @param {number} id - History entry id
+     */
+    async handleHistoryOpen(id) {
+        try {
+            const { entry, asciiResult } = await this.historyStore.get(id);
+
+            this.stopLive();
+            this.conversionService.cancel();
+            this.animationPlayer.unload();
+            this.uiController.hideAnimationControls();
+            this.uiController.setCancelButtonState(false);
+
+            this.uiController.applySettings(entry.settings);
+            this.saveSettings();
+
+            // Applying the settings must not re-render over the saved result
+            this.previewScheduler.cancel();
+
+            this.currentASCII = asciiResult;
+            this.showASCIIResult();
+        } catch (error) {
+            this.uiController.showError('Error opening history entry: ' + error.message);
+        }
+    }
+
+    /**
+     * Show a saved result next to the current one
+     * @param {number} id - History entry id
+     */
+    async handleHistoryCompare(id) {
+        if (!this.currentASCII) {
+            this.uiController.showError('Generate or open a result to compare against.');
+            return;
+        }
+
+        try {
+            const { entry, asciiResult } = await this.historyStore.get(id);
+            const date = new Date(entry.createdAt).toLocaleString();
+            this.uiController.showComparison(this.currentASCII, asciiResult, `${entry.cols} x ${entry.rows} / ${date}`);
+        } catch (error) {
+            this.uiController.showError('Error comparing history entry: ' + error.message);
+        }
+    }
+
+    /**
+     * Delete one saved result
+     * @param {number} id - History entry id
+     */
+    async handleHistoryDelete(id) {
+        try {
+            await this.historyStore.delete(id);
+        } catch (error) {
+            this.uiController.showError('Error deleting history entry: ' + error.message);
+        }
+        await this.refreshHistory();
+    }
+
+    /**
+     * Delete every saved result after confirmation
+     */
+    async handleHistoryClear() {
+        if (!this.uiController.confirmClearHistory()) return;
+
+        try {
+            await this.historyStore.clear();
+            this.uiController.hideComparison();
+        } catch (error) {
+            this.uiController.showError('Error clearing history: ' + error.message);
+        }
+        await this.refreshHistory();
+    }
+
+    /**
+     * Make a multi-frame animation the conversion source
+     * @param {Object} animation - Animation { width, height, frames: [{ canvas, delay }], truncated }
+     */
+    setCurrentAnimation(animation) {
+        this.setCurrentImage(animation.frames[0].canvas);
+        this.currentAnimation = animation;
+        this.uiController.showAnimationInfo(animation);
+    }
+
+    /**
+     * Redraw the adjusted thumbnail, at most once per animation frame
+     */
+    updateAdjustmentPreview() {
+        if (!this.currentImage || this.adjustmentPreviewPending) return;
+        
+        this.adjustmentPreviewPending = true;
+        requestAnimationFrame(() => {
+            this.adjustmentPreviewPending = false;
+            
+            if (!this.adjustmentThumbnail) {
+                this.adjustmentThumbnail = this.imageProcessor.getThumbnailData(this.currentImage, this.sourceRegion);
+            }
+            
+            const { width, height, data } = this.adjustmentThumbnail;
+            const preview = new ImageData(new Uint8ClampedArray(data), width, height);
+            this.imageAdjustments.apply(preview, this.uiController.getAdjustments());
+            this.uiController.drawAdjustmentPreview(preview);
+        });
+    }
+
+    /**
+     * Handle reset of all image adjustments
+     */
+    handleResetAdjustments() {
+        this.uiController.resetAdjustments();
+        this.updateAdjustmentPreview();
+        this.saveSettings();
+    }
+
     /**
      * Handle camera open
      */
@@ -142,10 +816,10 @@ export class ASCIIConverterApp {
      */
     async handleCapture() {
         try {
-            this.currentImage = await this.imageProcessor.captureImageFromCamera();
+            const image = await this.imageProcessor.captureImageFromCamera();
             
             // Update UI
-            this.uiController.displayImagePreview(this.currentImage);
+            this.setCurrentImage(image);
             
             // Close camera after successful capture
             this.handleCameraClose();
@@ -155,10 +829,151 @@ export class ASCIIConverterApp {
         }
     }
 
+    /**
+     * Start or stop live ASCII conversion of the camera feed
+     */
+    handleLiveToggle() {
+        if (this.liveConverter.isRunning()) {
+            this.stopLive();
+            return;
+        }
+
+        this.conversionService.cancel();
+        this.animationPlayer.unload();
+        this.uiController.hideAnimationControls();
+        this.uiController.setCancelButtonState(false);
+        this.uiController.setLiveState(true);
+
+        this.liveConverter.start({
+            getSettings: () => {
+                const config = this.uiController.getCurrentConfig();
+                const options = this.asciiCore.buildConversionOptions(config);
+                return { sizing: this.asciiCore.buildSizing(config, options.cellAspect), options };
+            },
+            onFrame: (result) => {
+                this.uiController.displayLiveFrame(result);
+                this.recordLiveFrame(result);
+            },
+            onStats: (stats) => this.uiController.updateLiveStats(stats),
+            onError: (error) => {
+                this.finishLive();
+                this.uiController.showError('Live conversion stopped: ' + error.message);
+            }
+        });
+    }
+
+    /**
+     * Start recording live frames, or stop and keep the recording as an animation
+     */
+    handleRecordToggle() {
+        if (this.liveRecording) {
+            this.finishRecording();
+            return;
+        }
+
+        this.liveRecording = [];
+        this.liveConverter.lockDetail(true);
+        this.uiController.setRecordingState(true);
+    }
+
+    /**
+     * Add a live frame to the running recording
+     * @param {Object} result - ASCII result of the frame
+     */
+    recordLiveFrame(result) {
+        if (!this.liveRecording) return;
+
+        this.liveRecording.push({ result, time: performance.now() });
+        this.uiController.setRecordingState(true, this.liveRecording.length);
+
+        if (this.liveRecording.length >= this.imageProcessor.MAX_ANIMATION_FRAMES) {
+            this.finishRecording();
+        }
+    }
+
+    /**
+     * Turn the recorded live frames into the current animated result
+     */
+    finishRecording() {
+        const recording = this.liveRecording;
+        this.liveRecording = null;
+        this.liveConverter.lockDetail(false);
+        this.uiController.setRecordingState(false);
+
+        // Frames only combine into an animation when their grids match the first one
+        const first = recording.length > 0 ? recording[0].result : null;
+        const usable = recording.filter(({ result }) =>
+            result.width === first.width && result.height === first.height);
+
+        if (usable.length < 2) {
+            this.uiController.showError('Record at least two frames to create an animation.');
+            return;
+        }
+
+        const averageDelay = (usable[usable.length - 1].time - usable[0].time) / (usable.length - 1);
+        const frames = usable.map(({ result, time }, i) => ({
+            grid: result.grid,
+            delay: i < usable.length - 1 ? usable[i + 1].time - time : averageDelay
+        }));
+
+        const video = this.imageProcessor.videoElement;
+        this.currentASCII = {
+            ...first,
+            frames,
+            frameIndex: 0,
+            scale: this.uiController.getCurrentConfig().scale,
+            originalWidth: video.videoWidth,
+            originalHeight: video.videoHeight
+        };
+
+        this.stopLive();
+    }
+
+    /**
+     * Stop live conversion if it is running
+     */
+    stopLive() {
+        if (!this.liveConverter.isRunning()) return;
+
+        this.liveRecording = null;
+        this.liveConverter.lockDetail(false);
+        this.liveConverter.stop();
+        this.finishLive();
+    }
+
+    /**
+     * Reset the live controls and bring back the last generated result
+     */
+    finishLive() {
+        this.uiController.setLiveState(false);
+
+        if (this.currentASCII) {
+            this.showASCIIResult();
+        } else {
+            this.uiController.clearASCIIResult();
+        }
+    }
+
+    /**
+     * Freeze the current camera frame and run it through the normal generate flow
+     */
+    async handleFreezeFrame() {
+        try {
+            const image = await this.imageProcessor.captureImageFromCamera();
+
+            this.handleCameraClose();
+            this.setCurrentImage(image);
+            await this.handleGenerate();
+        } catch (error) {
+            this.uiController.showError('Error freezing frame: ' + error.message);
+        }
+    }
+
     /**
      * Handle camera close
      */
     handleCameraClose() {
+        this.stopLive();
         this.imageProcessor.stopCamera();
         this.uiController.hideCameraInterface();
         this.uiController.resetCameraButton();
@@ -170,34 +985,33 @@ export class ASCIIConverterApp {
     async handleGenerate() {
         if (!this.currentImage) return;
 
+        this.previewScheduler.cancel();
         const config = this.uiController.getCurrentConfig();
         
-        // Calculate target dimensions
-        const dimensions = this.imageProcessor.calculateScaledDimensions(
-            this.currentImage, 
-            config.scale
-        );
+        let options;
+        let plan;
+        try {
+            options = this.asciiCore.buildConversionOptions(config);
 
+            // Only the selected region is converted
+            const source = this.imageProcessor.getRegionSize(this.currentImage, this.sourceRegion);
+            plan = this.gridSizer.plan(source.width, source.height, this.asciiCore.buildSizing(config, options.cellAspect));
+        } catch (error) {
+            this.uiController.showError(error.message);
+            return;
+        }
+        
         try {
             // Update UI to show generation in progress
+            this.animationPlayer.unload();
+            this.uiController.hideAnimationControls();
             this.uiController.setASCIIPreviewState('generating');
-            this.uiController.setGenerateButtonState(false);
+            this.uiController.setCancelButtonState(true);
 
-            // Get image data
-            const imageData = this.imageProcessor.getImageData(
-                this.currentImage,
-                dimensions.width,
-                dimensions.height
-            );
-
-            // Generate ASCII with progress callback
-            const asciiResult = await this.asciiProcessor.processImageToASCII(
-                imageData,
-                dimensions.width,
-                dimensions.height,
-                config.pixelSize,
-                (progress) => this.uiController.updateProgress(progress)
-            );
+            const asciiResult = this.currentAnimation
+                ? await this.convertAnimation(plan, options)
+                : await this.convertFrame(this.currentImage, plan, options,
+                    (progress) => this.uiController.updateProgress(progress));
 
             // Store result with additional metadata
             this.currentASCII = {
@@ -205,20 +1019,250 @@ export class ASCIIConverterApp {
                 scale: config.scale,
                 originalWidth: this.currentImage.width,
                 originalHeight: this.currentImage.height,
-                processedWidth: dimensions.width,
-                processedHeight: dimensions.height
+                processedWidth: plan.width,
+                processedHeight: plan.height
             };
 
             // Update UI
-            this.uiController.displayASCIIResult(this.currentASCII);
+            this.showASCIIResult();
+            this.uiController.setCancelButtonState(false);
+            this.saveToHistory(config);
 
         } catch (error) {
+            // A cancelled or superseded job leaves the UI to whoever stopped it
+            if (this.conversionService.isCancellation(error)) return;
+
             this.uiController.setASCIIPreviewState('error');
-        } finally {
-            this.uiController.setGenerateButtonState(true);
+            this.uiController.setCancelButtonState(false);
         }
     }
 
+    /**
+     * Refresh the preview shortly after a setting changes, when auto preview applies
+     */
+    scheduleAutoPreview() {
+        if (!this.canAutoPreview()) return;
+
+        this.previewScheduler.schedule((isCurrent) => this.renderAutoPreview(isCurrent));
+    }
+
+    /**
+     * Check whether the preview can follow the settings right now
+     * Animations are too slow to redo on every change, and edits would be lost
+     * @returns {boolean} Whether auto preview applies
+     */
+    canAutoPreview() {
+        return this.uiController.isAutoPreviewEnabled()
+            && !!this.currentImage
+            && !this.currentAnimation
+            && !this.liveConverter.isRunning()
+            && !this.uiController.editing;
+    }
+
+    /**
+     * Convert with the current settings, showing a coarse draft first for large grids
+     * Results replace the current result but are not saved to the history
+     * @param {Function} isCurrent - Returns false once newer settings superseded this render
+     */
+    async renderAutoPreview(isCurrent) {
+        if (!this.canAutoPreview()) return;
+
+        const config = this.uiController.getCurrentConfig();
+        let options;
+        let plan;
+        let draft;
+        try {
+            options = this.asciiCore.buildConversionOptions(config);
+
+            const source = this.imageProcessor.getRegionSize(this.currentImage, this.sourceRegion);
+            const sizing = this.asciiCore.buildSizing(config, options.cellAspect);
+            plan = this.gridSizer.plan(source.width, source.height, sizing);
+            draft = this.gridSizer.planDraft(source.width, source.height, sizing, this.DRAFT_MAX_CELLS);
+        } catch (error) {
+            // Incomplete input while typing; Generate reports it
+            return;
+        }
+
+        this.animationPlayer.unload();
+        this.uiController.hideAnimationControls();
+        this.uiController.setCancelButtonState(true);
+
+        try {
+            if (draft) {
+                const draftResult = await this.convertFrame(this.currentImage, draft, options);
+                if (!isCurrent()) return;
+
+                this.uiController.displayLiveFrame(draftResult);
+            }
+
+            const asciiResult = await this.convertFrame(this.currentImage, plan, options);
+            if (!isCurrent()) return;
+
+            this.currentASCII = {
+                ...asciiResult,
+                scale: config.scale,
+                originalWidth: this.currentImage.width,
+                originalHeight: this.currentImage.height,
+                processedWidth: plan.width,
+                processedHeight: plan.height
+            };
+
+            this.uiController.displayLiveFrame(this.currentASCII);
+            this.uiController.setExportButtonsState(true);
+            this.setEditorGrid(this.currentASCII.grid);
+            this.uiController.setCancelButtonState(false);
+        } catch (error) {
+            if (this.conversionService.isCancellation(error)) return;
+
+            this.uiController.setASCIIPreviewState('error');
+            this.uiController.setCancelButtonState(false);
+        }
+    }
+
+    /**
+     * Convert the selected region of an image or frame in the worker; supersedes any running job
+     * The worker crops and resamples the full-resolution pixels, as the command line does
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Source image
+     * @param {Object} plan - Sampling size and grid, see GridSizer.plan
+     * @param {Object} options - Conversion options
+     * @param {Function} progressCallback - Progress callback
+     * @returns {Promise<Object>} ASCII result
+     */
+    convertFrame(image, plan, options, progressCallback) {
+        const imageData = this.imageProcessor.getImageData(image, image.width, image.height);
+        return this.conversionService.convert(imageData, plan, options, progressCallback, this.sourceRegion);
+    }
+
+    /**
+     * Convert every frame of the current animation
+     * @param {Object} plan - Sampling size and grid, see GridSizer.plan
+     * @param {Object} options - Conversion options
+     * @returns {Promise<Object>} ASCII result of the first frame with all frames attached
+     */
+    async convertAnimation(plan, options) {
+        const sourceFrames = this.currentAnimation.frames;
+        const frames = [];
+        let firstResult = null;
+
+        for (let i = 0; i < sourceFrames.length; i++) {
+            const result = await this.convertFrame(sourceFrames[i].canvas, plan, options,
+                (progress) => this.uiController.updateFrameProgress(i, sourceFrames.length, progress));
+
+            firstResult = firstResult || result;
+            frames.push({ grid: result.grid, delay: sourceFrames[i].delay });
+        }
+
+        return { ...firstResult, frames, frameIndex: 0 };
+    }
+
+    /**
+     * Display the current result, starting playback for animations
+     */
+    showASCIIResult() {
+        this.uiController.displayASCIIResult(this.currentASCII);
+        this.setEditorGrid(this.currentASCII.grid);
+
+        const frames = this.currentASCII.frames;
+        if (!frames) return;
+
+        this.uiController.showAnimationControls(frames.length);
+        this.animationPlayer.load(frames.map(frame => frame.delay), (index, playing) => {
+            // Exports always use the frame on screen
+            this.currentASCII.grid = frames[index].grid;
+            this.currentASCII.frameIndex = index;
+            this.uiController.displayAnimationFrame(frames[index].grid, index, frames.length, playing);
+            this.setEditorGrid(frames[index].grid);
+        });
+        this.animationPlayer.play();
+    }
+
+    /**
+     * Point the editor at the grid on screen
+     * @param {ASCIIGrid} grid - Displayed grid
+     */
+    setEditorGrid(grid) {
+        this.gridEditor.setGrid(grid);
+        this.uiController.setUndoState(this.gridEditor.canUndo(), this.gridEditor.canRedo());
+    }
+
+    /**
+     * Enter or leave edit mode; animations pause so edits stay on one frame
+     * @param {boolean} editing - Whether edit mode is on
+     */
+    handleEditToggle(editing) {
+        if (editing) {
+            this.animationPlayer.pause();
+            this.gridEditor.setBrush(this.uiController.getEditorBrush());
+        }
+    }
+
+    /**
+     * Switch editor tools, clearing the text cursor and fill outline
+     * @param {string} tool - Tool name
+     */
+    handleEditorToolChange(tool) {
+        this.gridEditor.setTool(tool);
+        this.uiController.setEditCursor(null);
+        this.uiController.showEditSelection(null);
+    }
+
+    /**
+     * Type at the text cursor
+     * @param {string} key - KeyboardEvent.key
+     * @returns {boolean} Whether the key was used
+     */
+    handleEditKey(key) {
+        const result = this.gridEditor.handleKey(key);
+        if (!result) return false;
+
+        this.applyEdit(result);
+        return true;
+    }
+
+    /**
+     * Undo the last edit
+     */
+    handleUndo() {
+        this.applyEdit({ changed: this.gridEditor.undo(), cursor: this.gridEditor.cursor });
+    }
+
+    /**
+     * Redo the last undone edit
+     */
+    handleRedo() {
+        this.applyEdit({ changed: this.gridEditor.redo(), cursor: this.gridEditor.cursor });
+    }
+
+    /**
+     * Show the outcome of an editor action
+     * @param {Object} result - { changed, picked, selection, cursor } from GridEditor
+     */
+    applyEdit(result) {
+        if (result.changed.length > 0) {
+            this.uiController.updateASCIICells(this.gridEditor.grid, result.changed);
+        }
+        if (result.picked) {
+            this.uiController.setEditorBrush(result.picked);
+        }
+        if (result.selection !== undefined) {
+            this.uiController.showEditSelection(result.selection);
+        }
+
+        this.uiController.setEditCursor(result.cursor || null);
+        this.uiController.setUndoState(this.gridEditor.canUndo(), this.gridEditor.canRedo());
+    }
+
+    /**
+     * Handle cancellation of the running conversion
+     */
+    handleCancel() {
+        if (this.conversionService.cancel()) {
+            this.uiController.setASCIIPreviewState('cancelled');
+            this.uiController.setCancelButtonState(false);
+        }
+        this.previewScheduler.cancel();
+    }
+
     /**
      * Handle copy to clipboard
      */
@@ -226,7 +1270,7 @@ export class ASCIIConverterApp {
         if (!this.currentASCII) return;
 
         try {
-            await this.exportService.copyToClipboard(this.currentASCII.html);
+            await this.exportService.copyToClipboard(this.currentASCII.grid);
             this.uiController.showCopySuccess();
         } catch (error) {
             this.uiController.showError('Error copying to clipboard');
@@ -247,12 +1291,100 @@ export class ASCIIConverterApp {
         }
     }
 
+    /**
+     * Handle copy of ANSI-colored text to clipboard
+     */
+    async handleCopyANSI() {
+        if (!this.currentASCII) return;
+
+        try {
+            const config = this.uiController.getCurrentConfig();
+            await this.exportService.copyANSIToClipboard(this.currentASCII.grid, config.ansiDepth);
+            this.uiController.showCopySuccess('copyANSIBtn');
+        } catch (error) {
+            this.uiController.showError('Error copying to clipboard');
+        }
+    }
+
+    /**
+     * Handle download as ANSI file
+     */
+    handleDownloadANSI() {
+        if (!this.currentASCII) return;
+
+        try {
+            const config = this.uiController.getCurrentConfig();
+            this.exportService.downloadAsANSI(this.currentASCII, config.ansiDepth);
+        } catch (error) {
+            this.uiController.showError('Error downloading ANSI file');
+        }
+    }
+
+    /**
+     * Handle download as SVG
+     */
+    handleDownloadSVG() {
+        if (!this.currentASCII) return;
+
+        try {
+            const config = this.uiController.getCurrentConfig();
+            this.exportService.downloadAsSVG(this.currentASCII, {
+                fontSize: config.downloadQuality,
+                fontFamily: config.svgFontFamily,
+                background: config.svgBackground
+            });
+        } catch (error) {
+            this.uiController.showError('Error downloading SVG');
+        }
+    }
+
+    /**
+     * Handle download as standalone HTML page
+     */
+    handleDownloadHTML() {
+        if (!this.currentASCII) return;
+
+        try {
+            const config = this.uiController.getCurrentConfig();
+            this.exportService.downloadAsHTML(this.currentASCII, {
+                theme: config.htmlTheme,
+                fontSize: config.downloadQuality
+            });
+        } catch (error) {
+            this.uiController.showError('Error downloading HTML');
+        }
+    }
+
+    /**
+     * Export every frame of the current animation, showing progress on its button
+     * @param {string} buttonName - Element key of the export button
+     * @param {string} method - ExportService method to call
+     * @param {string} errorMessage - Message shown if the export fails
+     */
+    async handleAnimationExport(buttonName, method, errorMessage) {
+        if (!this.currentASCII || !this.currentASCII.frames) return;
+
+        const config = this.uiController.getCurrentConfig();
+        const animation = this.currentASCII;
+
+        try {
+            this.uiController.setExportProgress(buttonName, 0);
+            await this.exportService[method](animation, config.downloadQuality, (progress) => {
+                this.uiController.setExportProgress(buttonName, progress);
+            });
+        } catch (error) {
+            this.uiController.showError(`${errorMessage}: ${error.message}`);
+        } finally {
+            this.uiController.setExportProgress(buttonName, null);
+        }
+    }
+
     /**
      * Handle window resize
      */
     handleResize() {
         if (this.currentASCII) {
-            this.uiController.calculateOptimalFontSize();
+            this.uiController.refitASCIIPreview();
         }
     }
 }
@@ -0,0 +1,172 @@
+/**
+ * ASCIICore - DOM-free conversion: RGBA pixels plus settings in, ASCII result out
+ * The page builds options and plans on the main thread and renders in the worker;
+ * the command line calls convert directly
+ */
+import { ASCIIProcessor } from './ASCIIProcessor.js';
+import { CharacterRamps } from './CharacterRamps.js';
+import { ColorPalettes } from './ColorPalettes.js';
+import { GridSizer } from './GridSizer.js';
+import { PixelSampler } from './PixelSampler.js';
+
+export class ASCIICore {
+    /**
+     * @param {GlyphCalibrator|null} [glyphCalibrator] - Measures glyphs in the export font; without
+     *     one, ramps keep their listed order with even spacing and 'auto' aspect uses Courier New's
+     */
+    constructor(glyphCalibrator = null) {
+        this.glyphCalibrator = glyphCalibrator;
+        this.processor = new ASCIIProcessor();
+        this.characterRamps = new CharacterRamps();
+        this.colorPalettes = new ColorPalettes();
+        this.gridSizer = new GridSizer();
+        this.pixelSampler = new PixelSampler();
+
+        // Resolution scales offered by the page
+        this.SCALES = [0.25, 0.5, 1, 2, 4];
+    }
+
+    /**
+     * Convert an image with the given configuration
+     * @param {Object} image - Pixels { data, width, height }; data is RGBA and left unchanged
+     * @param {Object} config - Configuration, see ConversionSettings.toConfig
+     * @param {Object|null} [region] - Rotation, flips and crop, see ImageProcessor.drawRegion
+     * @param {Function} [progressCallback] - Progress update callback
+     * @returns {Promise<Object>} ASCII result, with the same fields as results on the page
+     */
+    async convert(image, config, region = null, progressCallback = null) {
+        const options = this.buildConversionOptions(config);
+        const size = region ? this.pixelSampler.getRegionSize(image, region) : image;
+        const plan = this.gridSizer.plan(size.width, size.height, this.buildSizing(config, options.cellAspect));
+
+        const result = await this.render(image, plan, options, region, progressCallback);
+
+        return {
+            ...result,
+            scale: config.scale,
+            originalWidth: image.width,
+            originalHeight: image.height,
+            processedWidth: plan.width,
+            processedHeight: plan.height
+        };
+    }
+
+    /**
+     * Cut out the region, resample it to the planned size and convert it
+     * The conversion worker runs this too, so the page and the command line sample alike
+     * @param {Object} image - Pixels { data, width, height }; data is RGBA and left unchanged
+     * @param {Object} plan - Sampling size and grid, see GridSizer.plan
+     * @param {Object} options - Conversion options, see buildConversionOptions
+     * @param {Object|null} [region] - Rotation, flips and crop, see ImageProcessor.drawRegion
+     * @param {Function} [progressCallback] - Progress update callback
+     * @returns {Promise<Object>} ASCII result from ASCIIProcessor
+     */
+    async render(image, plan, options, region = null, progressCallback = null) {
+        const source = region ? this.pixelSampler.applyRegion(image, region) : image;
+
+        // Always a fresh buffer: adjustments are applied in place
+        const { data, width, height } = this.pixelSampler.resize(source, plan.width, plan.height);
+        return this.processor.processImageToASCII(
+            { data, width, height }, width, height, { ...options, grid: plan.grid }, progressCallback
+        );
+    }
+
+    /**
+     * Build worker conversion options from a configuration
+     * @param {Object} config - Configuration, see ConversionSettings.toConfig
+     * @returns {Object} Conversion options for ASCIIProcessor
+     */
+    buildConversionOptions(config) {
+        // Resolve and calibrate the character ramp for the export font
+        const rampChars = this.characterRamps.resolve(config.rampPreset, config.customRamp);
+        if (rampChars.length < 2) {
+            throw new Error('A character ramp needs at least two different characters.');
+        }
+        
+        return {
+            pixelSize: config.pixelSize,
+            ramp: this.glyphCalibrator
+                ? this.glyphCalibrator.calibrate(rampChars)
+                : this.processor.createUniformRamp(rampChars),
+            cellAspect: this.resolveCellAspect(config),
+            dither: { mode: config.ditherMode, seed: config.ditherSeed },
+            renderMode: config.renderMode,
+            edges: { threshold: config.edgeThreshold, blend: config.edgeBlend },
+            brailleThreshold: config.brailleThreshold,
+            adjustments: config.adjustments,
+            color: this.buildColorOptions(config)
+        };
+    }
+
+    /**
+     * Get the character cell aspect for the current settings
+     * @param {Object} config - Configuration, see ConversionSettings.toConfig
+     * @returns {number} Cell width / height
+     */
+    resolveCellAspect(config) {
+        // Match sampling blocks to the character cell shape
+        if (config.aspectMode !== 'auto') {
+            return config.cellAspect;
+        }
+        return this.glyphCalibrator
+            ? this.glyphCalibrator.measureCellAspect()
+            : this.processor.DEFAULT_CELL_ASPECT;
+    }
+
+    /**
+     * Build GridSizer settings from the UI configuration
+     * @param {Object} config - Configuration, see ConversionSettings.toConfig
+     * @param {number} cellAspect - Resolved cell aspect
+     * @returns {Object} Sizing settings, see GridSizer.plan
+     */
+    buildSizing(config, cellAspect) {
+        if (config.sizingMode === 'scale') {
+            if (!this.SCALES.includes(config.scale)) {
+                throw new Error(`Choose a resolution scale of ${this.SCALES.slice(0, -1).join(', ')} or ${this.SCALES[this.SCALES.length - 1]}.`);
+            }
+        } else {
+            const inRange = (value) => value >= 1 && value <= 1000;
+
+            if (!inRange(config.targetCols)) {
+                throw new Error('Enter a column count between 1 and 1000.');
+            }
+            if (config.sizingMode === 'fit' ? !inRange(config.targetRows) : config.targetRows && !inRange(config.targetRows)) {
+                throw new Error('Enter a row count between 1 and 1000.');
+            }
+        }
+
+        return {
+            mode: config.sizingMode,
+            scale: config.scale,
+            pixelSize: config.pixelSize,
+            renderMode: config.renderMode,
+            cellAspect,
+            cols: config.targetCols,
+            rows: config.targetRows
+        };
+    }
+
+    /**
+     * Resolve the color mode setting into ColorMapper options
+     * @param {Object} config - Configuration, see ConversionSettings.toConfig
+     * @returns {Object} Color options
+     */
+    buildColorOptions(config) {
+        switch (config.colorMode) {
+            case 'monochrome':
+                return { mode: 'monochrome', ink: this.colorPalettes.parseColor(config.inkColor) };
+            case 'ansi16':
+            case 'xterm256':
+                return { mode: 'palette', palette: this.colorPalettes.getPalette(config.colorMode) };
+            case 'custom': {
+                const palette = this.colorPalettes.parsePalette(config.customPalette);
+                if (palette.length === 0) {
+                    throw new Error('Enter at least one hex color for the custom palette, e.g. #00ff00.');
+                }
+                return { mode: 'palette', palette };
+            }
+            default:
+                return { mode: config.colorMode };
+        }
+    }
+}
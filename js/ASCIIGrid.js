@@ -0,0 +1,129 @@
+/**
+ * ASCIIGrid - Typed cell grid produced by the ASCII conversion
+ * Holds per-cell character, RGBA color, optional RGBA background and source
+ * luminance so every output format can be rendered from the same data
+ */
+export class ASCIIGrid {
+    /**
+     * @param {number} cols - Number of character columns
+     * @param {number} rows - Number of character rows
+     * @param {Object} [buffers] - Existing typed buffers to wrap
+     * @param {Uint32Array} [buffers.codes] - Character code points
+     * @param {Uint8ClampedArray} [buffers.colors] - RGBA values, 4 per cell
+     * @param {Uint8ClampedArray} [buffers.backgrounds] - Background RGBA, 4 per cell (alpha 0 = none)
+     * @param {Float32Array} [buffers.luminance] - Source luminance (0-1) per cell
+     */
+    constructor(cols, rows, buffers = {}) {
+        const size = cols * rows;
+
+        this.cols = cols;
+        this.rows = rows;
+        this.codes = buffers.codes || new Uint32Array(size).fill(32);
+        this.colors = buffers.colors || new Uint8ClampedArray(size * 4);
+        this.backgrounds = buffers.backgrounds || new Uint8ClampedArray(size * 4);
+        this.luminance = buffers.luminance || new Float32Array(size);
+    }
+
+    /**
+     * Rebuild a grid from a plain object (e.g. after structured cloning)
+     * @param {Object} source - Object with cols, rows and typed buffers
+     * @returns {ASCIIGrid} Grid instance
+     */
+    static from(source) {
+        return new ASCIIGrid(source.cols, source.rows, {
+            codes: source.codes,
+            colors: source.colors,
+            backgrounds: source.backgrounds,
+            luminance: source.luminance
+        });
+    }
+
+    /**
+     * Get the flat cell index for a column/row pair
+     * @param {number} col - Column
+     * @param {number} row - Row
+     * @returns {number} Cell index
+     */
+    index(col, row) {
+        return row * this.cols + col;
+    }
+
+    /**
+     * Get the character at a cell
+     * @param {number} col - Column
+     * @param {number} row - Row
+     * @returns {string} Character
+     */
+    getChar(col, row) {
+        return String.fromCodePoint(this.codes[this.index(col, row)]);
+    }
+
+    /**
+     * Read a single cell
+     * @param {number} col - Column
+     * @param {number} row - Row
+     * @returns {Object} Cell with char, r, g, b, a, background ({ r, g, b, a } or null) and luminance
+     */
+    getCell(col, row) {
+        const i = this.index(col, row);
+        const c = i * 4;
+
+        return {
+            char: String.fromCodePoint(this.codes[i]),
+            r: this.colors[c],
+            g: this.colors[c + 1],
+            b: this.colors[c + 2],
+            a: this.colors[c + 3],
+            background: this.backgrounds[c + 3] > 0 ? {
+                r: this.backgrounds[c],
+                g: this.backgrounds[c + 1],
+                b: this.backgrounds[c + 2],
+                a: this.backgrounds[c + 3]
+            } : null,
+            luminance: this.luminance[i]
+        };
+    }
+
+    /**
+     * Write a single cell; omitted fields are left unchanged
+     * @param {number} col - Column
+     * @param {number} row - Row
+     * @param {Object} cell - Cell values (char, r, g, b, a, background, luminance)
+     */
+    setCell(col, row, cell) {
+        const i = this.index(col, row);
+        const c = i * 4;
+
+        if (cell.char !== undefined) this.codes[i] = cell.char.codePointAt(0);
+        if (cell.r !== undefined) this.colors[c] = cell.r;
+        if (cell.g !== undefined) this.colors[c + 1] = cell.g;
+        if (cell.b !== undefined) this.colors[c + 2] = cell.b;
+        if (cell.a !== undefined) this.colors[c + 3] = cell.a;
+        if (cell.luminance !== undefined) this.luminance[i] = cell.luminance;
+        if (cell.background !== undefined) {
+            const background = cell.background || { r: 0, g: 0, b: 0, a: 0 };
+            this.backgrounds.set([background.r, background.g, background.b, background.a], c);
+        }
+    }
+
+    /**
+     * Get the underlying buffers for transfer between threads
+     * @returns {ArrayBuffer[]} Transferable buffers
+     */
+    getTransferables() {
+        return [this.codes.buffer, this.colors.buffer, this.backgrounds.buffer, this.luminance.buffer];
+    }
+
+    /**
+     * Create a deep copy of the grid
+     * @returns {ASCIIGrid} Cloned grid
+     */
+    clone() {
+        return new ASCIIGrid(this.cols, this.rows, {
+            codes: this.codes.slice(),
+            colors: this.colors.slice(),
+            backgrounds: this.backgrounds.slice(),
+            luminance: this.luminance.slice()
+        });
+    }
+}
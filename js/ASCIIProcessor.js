@@ -2,9 +2,29 @@
  * ASCIIProcessor - Core ASCII conversion logic
  * Follows Single Responsibility Principle
  */
+import { ASCIIGrid } from './ASCIIGrid.js';
+import { GridRenderer } from './GridRenderer.js';
+import { Ditherer } from './Ditherer.js';
+import { EdgeDetector } from './EdgeDetector.js';
+import { SubcellRenderer } from './SubcellRenderer.js';
+import { ImageAdjustments } from './ImageAdjustments.js';
+import { ColorMapper } from './ColorMapper.js';
+import { GridSizer } from './GridSizer.js';
+
 export class ASCIIProcessor {
     constructor() {
-        // ASCII characters arranged by visual density (light to dark)
+        this.renderer = new GridRenderer();
+        this.ditherer = new Ditherer();
+        this.edgeDetector = new EdgeDetector();
+        this.subcellRenderer = new SubcellRenderer();
+        this.imageAdjustments = new ImageAdjustments();
+        this.colorMapper = new ColorMapper();
+        this.gridSizer = new GridSizer();
+        
+        // Width / height of a monospace character cell (Courier New is 0.6em x 1em)
+        this.DEFAULT_CELL_ASPECT = 0.6;
+        
+        // Default ramp arranged by visual density (light to dark), used when no calibrated ramp is given
         this.ASCII_CHARS = ' .\'`^",:;Il!i><~+_-?][}{1)(|\\/tfjrxnuvczXYUJCLQ0OZmwqpdbkhao*#MW&8%B@$';
     }
 
@@ -13,61 +33,233 @@ export class ASCIIProcessor {
      * @param {ImageData} imageData - Canvas image data
      * @param {number} width - Image width
      * @param {number} height - Image height
-     * @param {number} pixelSize - Character block size
+     * @param {Object} options - Conversion options
+     * @param {number} options.pixelSize - Character block width in pixels
+     * @param {number} [options.cellAspect] - Character cell width / height of the target font
+     * @param {Object} [options.ramp] - Calibrated ramp ({ chars, levels }), light to dark
+     * @param {Object} [options.dither] - Dithering options ({ mode, seed }), see Ditherer
+     * @param {string} [options.renderMode='ascii'] - 'ascii' (shade ramp), 'edges' (line art),
+     *     'halfblock', 'quadrant' or 'braille' (sub-cell Unicode modes)
+     * @param {Object} [options.edges] - Edge options ({ threshold, blend }), both 0-1
+     * @param {number} [options.brailleThreshold=0.5] - Luminance at which Braille dots light up
+     * @param {Object} [options.adjustments] - Pre-conversion adjustments, see ImageAdjustments
+     * @param {Object} [options.color] - Output color mode ({ mode, ink, palette }), see ColorMapper
+     * @param {Object} [options.grid] - Exact target grid ({ cols, rows }); overrides pixelSize
      * @param {Function} progressCallback - Progress update callback
-     * @returns {Promise<Object>} ASCII result object
+     * @returns {Promise<Object>} ASCII result object with typed cell grid
      */
-    async processImageToASCII(imageData, width, height, pixelSize, progressCallback = null) {
+    async processImageToASCII(imageData, width, height, options, progressCallback = null) {
         const { data } = imageData;
-        const chars = this.ASCII_CHARS;
-        const charCount = chars.length - 1;
+        const { pixelSize } = options;
+        
+        // Fix up the source pixels before sampling (modifies the buffer in place)
+        this.imageAdjustments.apply({ data, width, height }, options.adjustments);
+        
+        const cellAspect = options.cellAspect || this.DEFAULT_CELL_ASPECT;
+        const renderMode = options.renderMode || 'ascii';
         
-        // Calculate ASCII dimensions
-        const asciiWidth = Math.floor(width / pixelSize);
-        const asciiHeight = Math.floor(height / pixelSize);
+        // Sub-cell modes pack several samples into each character, so cells span more pixels
+        const layout = this.subcellRenderer.isSubcellMode(renderMode)
+            ? this.subcellRenderer.getLayout(renderMode)
+            : null;
         
-        let asciiHTML = '';
-        const totalBlocks = asciiWidth * asciiHeight;
-        let processedBlocks = 0;
+        // Calculate ASCII dimensions from non-square blocks matching the cell aspect,
+        // or stretch blocks over the image when an exact grid was requested
+        const { cols: asciiWidth, rows: asciiHeight, blockWidth, blockHeight } = options.grid
+            ? this.gridSizer.fitGrid(width, height, options.grid)
+            : this.gridSizer.calculateGridSize(width, height, pixelSize * (layout ? layout.cols : 1), cellAspect);
         
-        // Process each character block
-        for (let y = 0; y < asciiHeight; y++) {
-            let rowHTML = '';
+        let grid;
+        
+        if (layout) {
+            grid = this.renderSubcellGrid(
+                data, width, height, asciiWidth, asciiHeight, blockWidth, blockHeight,
+                renderMode, options, progressCallback
+            );
+        } else {
+            const ramp = options.ramp || this.createUniformRamp(this.ASCII_CHARS);
+            const lookup = this.buildCharacterLookup(ramp.levels);
             
-            for (let x = 0; x < asciiWidth; x++) {
-                const charData = this.processPixelBlock(data, x, y, width, height, pixelSize);
-                rowHTML += this.createCharacterSpan(charData, chars, charCount);
-                processedBlocks++;
-            }
+            grid = this.sampleGrid(data, width, height, asciiWidth, asciiHeight, blockWidth, blockHeight, progressCallback);
             
-            asciiHTML += `<div>${rowHTML}</div>`;
+            if (renderMode === 'edges') {
+                this.applyEdgeArt(grid, data, width, height, blockWidth, blockHeight, ramp, lookup, options);
+            } else {
+                // Map brightness to characters over the whole grid (needed for error diffusion)
+                this.assignCharacters(grid, ramp, lookup, options.dither);
+            }
+        }
+        
+        this.colorMapper.apply(grid, options.color);
+        
+        return {
+            grid: grid,
+            width: asciiWidth,
+            height: asciiHeight,
+            pixelSize: pixelSize,
+            cellAspect: cellAspect,
+            renderMode: renderMode
+        };
+    }
+
+    /**
+     * Sample every block into a grid of averaged colors and luminance
+     * @param {Uint8ClampedArray} data - RGBA pixel data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} cols - Grid columns
+     * @param {number} rows - Grid rows
+     * @param {number} blockWidth - Block width in pixels
+     * @param {number} blockHeight - Block height in pixels
+     * @param {Function} progressCallback - Progress update callback
+     * @returns {ASCIIGrid} Grid with blank characters
+     */
+    sampleGrid(data, width, height, cols, rows, blockWidth, blockHeight, progressCallback = null) {
+        const grid = new ASCIIGrid(cols, rows);
+        
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                const pixelData = this.processPixelBlock(data, x, y, width, height, blockWidth, blockHeight);
+                grid.setCell(x, y, this.createCell(pixelData));
+            }
             
             // Report progress periodically
             if (y % 20 === 0 && progressCallback) {
-                const progress = Math.round((processedBlocks / totalBlocks) * 100);
-                progressCallback(progress);
-                await this.delay(1);
+                progressCallback(Math.round(((y + 1) / rows) * 100));
+            }
+        }
+        
+        return grid;
+    }
+
+    /**
+     * Render a half-block, quadrant or Braille grid
+     * Samples are taken at sub-cell resolution and packed into Unicode glyphs
+     * @param {Uint8ClampedArray} data - RGBA pixel data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} cols - Grid columns
+     * @param {number} rows - Grid rows
+     * @param {number} blockWidth - Cell width in pixels
+     * @param {number} blockHeight - Cell height in pixels
+     * @param {string} mode - Sub-cell render mode
+     * @param {Object} options - Conversion options
+     * @param {Function} progressCallback - Progress update callback
+     * @returns {ASCIIGrid} Rendered grid
+     */
+    renderSubcellGrid(data, width, height, cols, rows, blockWidth, blockHeight, mode, options, progressCallback) {
+        const layout = this.subcellRenderer.getLayout(mode);
+        const samples = this.sampleGrid(
+            data, width, height,
+            cols * layout.cols, rows * layout.rows,
+            blockWidth / layout.cols, blockHeight / layout.rows,
+            progressCallback
+        );
+        // Braille always lights dots; monochrome splits half-blocks and quadrants into ink and paper too
+        const monochrome = Boolean(options.color && options.color.mode === 'monochrome');
+        const dots = mode === 'braille' || monochrome
+            ? this.thresholdSamples(samples, options, mode === 'braille' ? options.brailleThreshold : 0.5)
+            : null;
+        const grid = new ASCIIGrid(cols, rows);
+        
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const cellSamples = [];
+                const cellDots = [];
+                
+                for (let sy = 0; sy < layout.rows; sy++) {
+                    for (let sx = 0; sx < layout.cols; sx++) {
+                        const sampleCol = col * layout.cols + sx;
+                        const sampleRow = row * layout.rows + sy;
+                        cellSamples.push(samples.getCell(sampleCol, sampleRow));
+                        if (dots) cellDots.push(dots[samples.index(sampleCol, sampleRow)] === 1);
+                    }
+                }
+                
+                grid.setCell(col, row, this.subcellRenderer.renderCell(mode, cellSamples, cellDots));
             }
         }
         
+        return grid;
+    }
+
+    /**
+     * Decide which Braille dots (or ink samples) are lit, honouring the dithering setting
+     * @param {ASCIIGrid} samples - Sample grid
+     * @param {Object} options - Conversion options
+     * @param {number} [threshold=0.5] - Luminance (0-1) at which a sample lights up
+     * @returns {Uint16Array} 1 for lit dots, 0 otherwise
+     */
+    thresholdSamples(samples, options, threshold = 0.5) {
+        // Shift values so the two-level quantizer splits at the chosen threshold
+        const values = samples.luminance.map(value => value + 0.5 - threshold);
+        const levels = [0, 1];
+        
+        return this.ditherer.quantize(
+            values, samples.cols, samples.rows, levels,
+            this.buildCharacterLookup(levels), options.dither
+        );
+    }
+
+    /**
+     * Create an evenly spaced ramp from a character string
+     * @param {string} chars - Characters ordered light to dark
+     * @returns {Object} Ramp with chars and levels
+     */
+    createUniformRamp(chars) {
+        const list = Array.from(chars);
         return {
-            html: asciiHTML,
-            width: asciiWidth,
-            height: asciiHeight,
-            pixelSize: pixelSize
+            chars: list,
+            levels: list.map((char, index) => index / Math.max(1, list.length - 1))
         };
     }
 
+    /**
+     * Build a brightness (0-255) to ramp index lookup table
+     * Each brightness maps to the character whose level is nearest
+     * @param {number[]} levels - Ramp levels in ascending order (0-1)
+     * @returns {Uint16Array} Lookup table with 256 entries
+     */
+    buildCharacterLookup(levels) {
+        const lookup = new Uint16Array(256);
+        let index = 0;
+        
+        for (let value = 0; value < 256; value++) {
+            const brightness = value / 255;
+            
+            // Levels are sorted, so the nearest one only moves forward
+            while (index < levels.length - 1 &&
+                   Math.abs(levels[index + 1] - brightness) <= Math.abs(levels[index] - brightness)) {
+                index++;
+            }
+            
+            // Equal levels go to the first of them, so a blank stays the level-0 character
+            let nearest = index;
+            while (nearest > 0 && levels[nearest - 1] === levels[index]) {
+                nearest--;
+            }
+            lookup[value] = nearest;
+        }
+        
+        return lookup;
+    }
+
     /**
      * Process a single pixel block to extract color and brightness
+     * Block sizes may be fractional; edges are snapped to whole pixels
      */
-    processPixelBlock(data, x, y, width, height, pixelSize) {
+    processPixelBlock(data, x, y, width, height, blockWidth, blockHeight) {
         let totalR = 0, totalG = 0, totalB = 0, totalA = 0;
         let samplesCount = 0;
         
+        const startX = Math.floor(x * blockWidth);
+        const startY = Math.floor(y * blockHeight);
+        const endX = Math.min(Math.max(startX + 1, Math.floor((x + 1) * blockWidth)), width);
+        const endY = Math.min(Math.max(startY + 1, Math.floor((y + 1) * blockHeight)), height);
+        
         // Sample the pixel block
-        for (let blockY = y * pixelSize; blockY < Math.min((y + 1) * pixelSize, height); blockY++) {
-            for (let blockX = x * pixelSize; blockX < Math.min((x + 1) * pixelSize, width); blockX++) {
+        for (let blockY = startY; blockY < endY; blockY++) {
+            for (let blockX = startX; blockX < endX; blockX++) {
                 const pixelIndex = (blockY * width + blockX) * 4;
                 totalR += data[pixelIndex];
                 totalG += data[pixelIndex + 1];
@@ -87,47 +279,77 @@ export class ASCIIProcessor {
     }
 
     /**
-     * Create HTML span element for character with styling
+     * Create grid cell data (color and luminance) for a pixel block
      */
-    createCharacterSpan(pixelData, chars, charCount) {
+    createCell(pixelData) {
         const { r, g, b, a } = pixelData;
         
-        // Handle transparent pixels
-        if (a < 25) {
-            return '<span style="color:transparent">&nbsp;</span>';
-        }
-        
         // Calculate brightness (luminance)
-        const brightness = (r * 0.299 + g * 0.587 + b * 0.114) / 255;
+        const luminance = (r * 0.299 + g * 0.587 + b * 0.114) / 255;
         
-        // Add slight variation for visual complexity
-        const variation = (Math.random() - 0.5) * 0.1;
-        const adjustedBrightness = Math.max(0, Math.min(1, brightness + variation));
+        return { r, g, b, a, luminance };
+    }
+
+    /**
+     * Select a ramp character for every cell from its luminance
+     * @param {ASCIIGrid} grid - Grid with colors and luminance filled in
+     * @param {Object} ramp - Ramp ({ chars, levels })
+     * @param {Uint16Array} lookup - Brightness to ramp index table
+     * @param {Object} [dither] - Dithering options
+     * @param {Float32Array} [values] - Brightness to quantize instead of the grid luminance
+     */
+    assignCharacters(grid, ramp, lookup, dither = {}, values = grid.luminance) {
+        const { cols, rows, colors, codes } = grid;
         
-        // Select character based on brightness
-        const charIndex = Math.floor(adjustedBrightness * charCount);
-        const char = chars[charIndex];
+        // Transparent cells stay blank and take no part in error diffusion
+        const transparent = new Uint8Array(cols * rows);
+        for (let i = 0; i < transparent.length; i++) {
+            transparent[i] = colors[i * 4 + 3] < 25 ? 1 : 0;
+        }
         
-        // Create colored span
-        const alpha = a / 255;
-        const color = `rgba(${r},${g},${b},${alpha})`;
+        const indices = this.ditherer.quantize(values, cols, rows, ramp.levels, lookup, dither, transparent);
+        const rampCodes = ramp.chars.map(char => char.codePointAt(0));
         
-        return `<span style="color:${color}">${char}</span>`;
+        for (let i = 0; i < indices.length; i++) {
+            codes[i] = transparent[i] ? 32 : rampCodes[indices[i]];
+        }
     }
 
     /**
-     * Extract plain text from ASCII HTML
+     * Render line art: directional glyphs on edges, dimmed shade ramp elsewhere
+     * @param {ASCIIGrid} grid - Grid with colors and luminance filled in
+     * @param {Uint8ClampedArray} data - Source RGBA pixel data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} blockWidth - Cell width in pixels
+     * @param {number} blockHeight - Cell height in pixels
+     * @param {Object} ramp - Ramp ({ chars, levels })
+     * @param {Uint16Array} lookup - Brightness to ramp index table
+     * @param {Object} options - Conversion options
      */
-    extractPlainText(asciiHTML) {
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = asciiHTML;
-        return tempDiv.textContent || tempDiv.innerText;
+    applyEdgeArt(grid, data, width, height, blockWidth, blockHeight, ramp, lookup, options) {
+        const { threshold = 0.25, blend = 0.5 } = options.edges || {};
+        const { strength, glyphs } = this.edgeDetector.detectCellEdges(
+            data, width, height, grid.cols, grid.rows, blockWidth, blockHeight
+        );
+        
+        // Blend 0 keeps the full shade fill, blend 1 leaves non-edge cells blank
+        const fill = grid.luminance.map(value => value * (1 - blend));
+        this.assignCharacters(grid, ramp, lookup, options.dither, fill);
+        
+        for (let i = 0; i < strength.length; i++) {
+            if (strength[i] >= threshold && grid.colors[i * 4 + 3] >= 25) {
+                grid.codes[i] = glyphs[i];
+            }
+        }
     }
 
     /**
-     * Utility delay function
+     * Extract plain text from an ASCII grid
+     * @param {ASCIIGrid} grid - ASCII cell grid
+     * @returns {string} Plain text
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    extractPlainText(grid) {
+        return this.renderer.toPlainText(grid);
     }
-}
\ No newline at end of file
+}
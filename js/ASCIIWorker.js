@@ -0,0 +1,27 @@
+/**
+ * ASCIIWorker - Runs ASCII conversion off the main thread
+ * Receives the pixel buffer as a transferable and streams progress back
+ */
+import { ASCIICore } from './ASCIICore.js';
+
+const core = new ASCIICore();
+
+self.addEventListener('message', async (event) => {
+    const { jobId, buffer, width, height, plan, options, region } = event.data;
+
+    try {
+        const imageData = { data: new Uint8ClampedArray(buffer), width, height };
+
+        const result = await core.render(
+            imageData,
+            plan,
+            options,
+            region,
+            (progress) => self.postMessage({ type: 'progress', jobId, progress })
+        );
+
+        self.postMessage({ type: 'result', jobId, result }, result.grid.getTransferables());
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId, message: error.message });
+    }
+});
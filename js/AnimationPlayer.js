@@ -0,0 +1,114 @@
+/**
+ * AnimationPlayer - Plays converted frames back with their own delays
+ * Owns only the timing; rendering is left to the onFrame callback
+ */
+export class AnimationPlayer {
+    constructor() {
+        this.delays = [];
+        this.index = 0;
+        this.playing = false;
+        this.timer = null;
+        this.onFrame = null;
+    }
+
+    /**
+     * Load a new animation and show its first frame
+     * @param {number[]} delays - Display time of each frame in ms
+     * @param {Function} onFrame - Called with (index, playing) whenever the frame or state changes
+     */
+    load(delays, onFrame) {
+        this.unload();
+        this.delays = delays;
+        this.onFrame = onFrame;
+        this.seek(0);
+    }
+
+    /**
+     * Stop playback and forget the current animation
+     */
+    unload() {
+        this.pause();
+        this.delays = [];
+        this.index = 0;
+        this.onFrame = null;
+    }
+
+    /**
+     * Start playback from the current frame
+     */
+    play() {
+        if (this.playing || this.delays.length < 2) return;
+
+        this.playing = true;
+        this.notify();
+        this.scheduleNext();
+    }
+
+    /**
+     * Pause playback on the current frame
+     */
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.playing) {
+            this.playing = false;
+            this.notify();
+        }
+    }
+
+    /**
+     * Toggle between playing and paused
+     */
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Jump to a frame; playback continues from there if it was running
+     * @param {number} index - Frame index
+     */
+    seek(index) {
+        if (this.delays.length === 0) return;
+
+        this.index = Math.max(0, Math.min(this.delays.length - 1, index));
+        this.notify();
+
+        if (this.playing) {
+            this.scheduleNext();
+        }
+    }
+
+    /**
+     * Check whether playback is running
+     * @returns {boolean} Playing state
+     */
+    isPlaying() {
+        return this.playing;
+    }
+
+    /**
+     * Advance to the next frame after the current frame's delay
+     */
+    scheduleNext() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.index = (this.index + 1) % this.delays.length;
+            this.notify();
+            this.scheduleNext();
+        }, this.delays[this.index]);
+    }
+
+    /**
+     * Report the current frame to the listener
+     */
+    notify() {
+        if (this.onFrame) {
+            this.onFrame(this.index, this.playing);
+        }
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * BatchProcessor - Converts a queue of files with one set of settings into a ZIP
+ * Failed files are recorded and skipped so one bad file never aborts the batch
+ */
+import { ZipWriter } from './ZipWriter.js';
+import { GridSizer } from './GridSizer.js';
+
+export class BatchProcessor {
+    /**
+     * @param {ImageProcessor} imageProcessor - Image loading
+     * @param {ConversionService} conversionService - Dedicated conversion worker
+     * @param {ExportService} exportService - Output rendering
+     */
+    constructor(imageProcessor, conversionService, exportService) {
+        this.imageProcessor = imageProcessor;
+        this.conversionService = conversionService;
+        this.exportService = exportService;
+        this.gridSizer = new GridSizer();
+        this.cancelled = false;
+    }
+
+    /**
+     * Convert every file and collect the chosen outputs in a ZIP
+     * @param {File[]} files - Files to convert
+     * @param {Object} settings - Batch settings
+     * @param {Object} settings.sizing - Sizing settings, see GridSizer.plan
+     * @param {Object} settings.options - Conversion options
+     * @param {string[]} settings.formats - Output formats for ExportService.createExportFile
+     * @param {Object} settings.exportOptions - Export settings
+     * @param {number} settings.svgRasterSize - Raster size for SVG files
+     * @param {Function} onStatus - Called with (index, status, message) as files progress
+     * @returns {Promise<Object>} { blob, converted, failures: [{ name, error }] }
+     */
+    async run(files, settings, onStatus) {
+        this.cancelled = false;
+
+        const zip = new ZipWriter();
+        const usedNames = new Set();
+        const failures = [];
+
+        for (let i = 0; i < files.length; i++) {
+            if (this.cancelled) {
+                throw this.conversionService.createCancellationError();
+            }
+
+            onStatus(i, 'processing');
+
+            try {
+                const asciiResult = await this.convertFile(files[i], settings);
+                const baseName = this.getUniqueName(files[i].name, usedNames);
+
+                for (const format of settings.formats) {
+                    const content = await this.exportService.createExportFile(asciiResult, format, settings.exportOptions);
+                    zip.addFile(`${baseName}.${format}`, content);
+                }
+
+                onStatus(i, 'done');
+            } catch (error) {
+                if (this.conversionService.isCancellation(error)) {
+                    onStatus(i, 'queued');
+                    throw error;
+                }
+
+                failures.push({ name: files[i].name, error: error.message });
+                onStatus(i, 'failed', error.message);
+            }
+        }
+
+        if (failures.length > 0) {
+            zip.addFile('failed.txt', failures.map(failure => `${failure.name}: ${failure.error}`).join('\n') + '\n');
+        }
+
+        return { blob: zip.toBlob(), converted: files.length - failures.length, failures };
+    }
+
+    /**
+     * Stop the batch after the file in progress
+     */
+    cancel() {
+        this.cancelled = true;
+        this.conversionService.cancel();
+    }
+
+    /**
+     * Load, validate and convert one file
+     * @param {File} file - Source file
+     * @param {Object} settings - Batch settings
+     * @returns {Promise<Object>} ASCII result
+     */
+    async convertFile(file, settings) {
+        file = this.imageProcessor.normalizeFile(file);
+
+        const validation = this.imageProcessor.validateFile(file);
+        if (!validation.valid) {
+            throw new Error(validation.error);
+        }
+
+        if (this.imageProcessor.isVideo(file)) {
+            throw new Error('Videos cannot be batch converted');
+        }
+
+        const image = this.imageProcessor.isSvg(file)
+            ? await this.imageProcessor.loadSvgFromFile(file, settings.svgRasterSize)
+            : await this.imageProcessor.loadImageFromFile(file);
+
+        try {
+            const plan = this.gridSizer.plan(image.width, image.height, settings.sizing);
+            if (plan.width === 0 || plan.height === 0) {
+                throw new Error('Image is too small for this resolution scale');
+            }
+
+            const imageData = this.imageProcessor.getImageData(image, image.width, image.height);
+            const result = await this.conversionService.convert(imageData, plan, settings.options);
+
+            return { ...result, scale: settings.sizing.scale };
+        } finally {
+            if (image.src) {
+                URL.revokeObjectURL(image.src);
+            }
+        }
+    }
+
+    /**
+     * Derive an output name from a file name, avoiding duplicates in the archive
+     * @param {string} fileName - Source file name
+     * @param {Set<string>} usedNames - Names already in the archive
+     * @returns {string} Name without extension
+     */
+    getUniqueName(fileName, usedNames) {
+        const base = fileName.replace(/\.[^.]+$/, '') || 'image';
+        let name = base;
+
+        for (let n = 2; usedNames.has(name); n++) {
+            name = `${base}-${n}`;
+        }
+
+        usedNames.add(name);
+        return name;
+    }
+}
@@ -0,0 +1,61 @@
+/**
+ * CharacterRamps - Named character ramp presets and custom ramp parsing
+ * Ramps are listed light to dark; GlyphCalibrator re-sorts them by measured ink
+ */
+export class CharacterRamps {
+    constructor() {
+        this.PRESETS = {
+            classic: { label: 'Classic (10 chars)', chars: ' .:-=+*#%@' },
+            full: { label: 'Full (70 chars)', chars: ' .\'`^",:;Il!i><~+_-?][}{1)(|\\/tfjrxnuvczXYUJCLQ0OZmwqpdbkhao*#MW&8%B@$' },
+            blocks: { label: 'Blocks', chars: ' ░▒▓█' },
+            digits: { label: 'Digits', chars: ' 0123456789' }
+        };
+        this.DEFAULT_PRESET = 'full';
+    }
+
+    /**
+     * Get the characters of a preset
+     * @param {string} name - Preset name
+     * @returns {string} Ramp characters
+     */
+    getPreset(name) {
+        const preset = this.PRESETS[name] || this.PRESETS[this.DEFAULT_PRESET];
+        return preset.chars;
+    }
+
+    /**
+     * Get the display label of a preset
+     * @param {string} name - Preset name ('custom' for user input)
+     * @returns {string} Preset label
+     */
+    getLabel(name) {
+        if (name === 'custom') return 'Custom';
+        return (this.PRESETS[name] || this.PRESETS[this.DEFAULT_PRESET]).label;
+    }
+
+    /**
+     * Resolve the ramp characters for a preset or custom input
+     * @param {string} presetName - Preset name or 'custom'
+     * @param {string} customChars - User-typed characters
+     * @returns {string[]} Unique ramp characters
+     */
+    resolve(presetName, customChars = '') {
+        const source = presetName === 'custom' ? customChars : this.getPreset(presetName);
+        return this.parseCharacters(source);
+    }
+
+    /**
+     * Split a string into unique characters, dropping control characters
+     * @param {string} text - Raw characters
+     * @returns {string[]} Unique characters in first-seen order
+     */
+    parseCharacters(text) {
+        const unique = new Set();
+
+        for (const char of text) {
+            if (char.codePointAt(0) >= 32) unique.add(char);
+        }
+
+        return Array.from(unique);
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * ColorMapper - Applies the output color mode to a finished grid
+ * Modes: full, monochrome, grayscale, palette and background-fill
+ */
+import { ColorPalettes } from './ColorPalettes.js';
+
+export class ColorMapper {
+    constructor() {
+        this.palettes = new ColorPalettes();
+
+        // Glyph color used on top of filled cell backgrounds
+        this.BACKGROUND_FILL_INK = { r: 0, g: 0, b: 0 };
+    }
+
+    /**
+     * Apply a color mode to the grid in place
+     * @param {ASCIIGrid} grid - Cell grid
+     * @param {Object} [options] - Color options
+     * @param {string} [options.mode='full'] - 'full', 'monochrome', 'grayscale', 'palette' or 'background'
+     * @param {Object} [options.ink] - Ink color ({ r, g, b }) for monochrome
+     * @param {number[][]} [options.palette] - RGB triplets for palette mode
+     */
+    apply(grid, options = {}) {
+        const mode = options.mode || 'full';
+
+        switch (mode) {
+            case 'full':
+                return;
+            case 'monochrome':
+                this.applyMonochrome(grid, options.ink || { r: 0, g: 255, b: 0 });
+                return;
+            case 'grayscale':
+                this.mapColors(grid, (r, g, b) => {
+                    const gray = Math.round(r * 0.299 + g * 0.587 + b * 0.114);
+                    return [gray, gray, gray];
+                });
+                return;
+            case 'palette':
+                this.applyPalette(grid, options.palette);
+                return;
+            case 'background':
+                this.applyBackgroundFill(grid);
+                return;
+            default:
+                throw new Error(`Unknown color mode: ${mode}`);
+        }
+    }
+
+    /**
+     * Single ink color; cell backgrounds are dropped
+     * Sub-cell modes already split cells into ink and paper for monochrome, see ASCIIProcessor
+     */
+    applyMonochrome(grid, ink) {
+        const { colors, backgrounds } = grid;
+
+        for (let c = 0; c < colors.length; c += 4) {
+            colors[c] = ink.r;
+            colors[c + 1] = ink.g;
+            colors[c + 2] = ink.b;
+            backgrounds[c + 3] = 0;
+        }
+    }
+
+    /**
+     * Snap glyph and background colors to the nearest palette entry
+     */
+    applyPalette(grid, palette) {
+        if (!palette || palette.length === 0) {
+            throw new Error('Palette color mode needs at least one color.');
+        }
+
+        this.mapColors(grid, (r, g, b) => palette[this.palettes.findNearest(palette, r, g, b)]);
+    }
+
+    /**
+     * Move each cell's color to its background and draw the glyph in a fixed ink
+     * Cells that already carry a background (sub-cell modes) are left alone
+     */
+    applyBackgroundFill(grid) {
+        const { colors, backgrounds } = grid;
+        const ink = this.BACKGROUND_FILL_INK;
+
+        for (let c = 0; c < colors.length; c += 4) {
+            if (backgrounds[c + 3] > 0 || colors[c + 3] < 25) continue;
+
+            backgrounds.set(colors.subarray(c, c + 4), c);
+            colors[c] = ink.r;
+            colors[c + 1] = ink.g;
+            colors[c + 2] = ink.b;
+        }
+    }
+
+    /**
+     * Map every glyph and background color through a function
+     * @param {ASCIIGrid} grid - Cell grid
+     * @param {Function} mapper - (r, g, b) => [r, g, b]
+     */
+    mapColors(grid, mapper) {
+        for (const buffer of [grid.colors, grid.backgrounds]) {
+            for (let c = 0; c < buffer.length; c += 4) {
+                const [r, g, b] = mapper(buffer[c], buffer[c + 1], buffer[c + 2]);
+                buffer[c] = r;
+                buffer[c + 1] = g;
+                buffer[c + 2] = b;
+            }
+        }
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * ColorPalettes - Terminal palettes and perceptual nearest-color matching
+ * Matching is done in OKLab so quantized colors look closest to the eye
+ */
+export class ColorPalettes {
+    constructor() {
+        // xterm default colors for the 16 ANSI palette entries
+        this.ANSI16 = [
+            [0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0],
+            [0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+            [127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0],
+            [92, 92, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255]
+        ];
+        this.XTERM256 = this.buildXterm256();
+
+        // Per-palette OKLab values and match caches
+        this.labCache = new WeakMap();
+        this.matchCache = new WeakMap();
+    }
+
+    /**
+     * Build the xterm 256-color palette
+     * @returns {number[][]} RGB triplets
+     */
+    buildXterm256() {
+        const palette = this.ANSI16.map(color => color.slice());
+        const levels = [0, 95, 135, 175, 215, 255];
+
+        // 6x6x6 color cube
+        for (let r = 0; r < 6; r++) {
+            for (let g = 0; g < 6; g++) {
+                for (let b = 0; b < 6; b++) {
+                    palette.push([levels[r], levels[g], levels[b]]);
+                }
+            }
+        }
+
+        // 24-step grayscale ramp
+        for (let i = 0; i < 24; i++) {
+            const gray = 8 + i * 10;
+            palette.push([gray, gray, gray]);
+        }
+
+        return palette;
+    }
+
+    /**
+     * Get a named palette
+     * @param {string} name - 'ansi16' or 'xterm256'
+     * @returns {number[][]} RGB triplets
+     */
+    getPalette(name) {
+        if (name === 'ansi16') return this.ANSI16;
+        if (name === 'xterm256') return this.XTERM256;
+        throw new Error(`Unknown palette: ${name}`);
+    }
+
+    /**
+     * Parse a user-supplied palette of hex colors
+     * @param {string} text - Colors such as "#000 #ff0000, 00ff00"
+     * @returns {number[][]} RGB triplets
+     */
+    parsePalette(text) {
+        const palette = [];
+
+        for (const token of text.split(/[\s,;]+/)) {
+            const hex = token.replace(/^#/, '');
+            if (!/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex)) continue;
+
+            const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+            palette.push([
+                parseInt(full.slice(0, 2), 16),
+                parseInt(full.slice(2, 4), 16),
+                parseInt(full.slice(4, 6), 16)
+            ]);
+        }
+
+        return palette;
+    }
+
+    /**
+     * Parse a single hex color
+     * @param {string} hex - Color like "#00ff00"
+     * @returns {Object} Color as { r, g, b }
+     */
+    parseColor(hex) {
+        const [rgb] = this.parsePalette(hex);
+        if (!rgb) throw new Error(`Invalid color: ${hex}`);
+        return { r: rgb[0], g: rgb[1], b: rgb[2] };
+    }
+
+    /**
+     * Find the perceptually nearest palette entry
+     * @param {number[][]} palette - RGB triplets
+     * @param {number} r - Red
+     * @param {number} g - Green
+     * @param {number} b - Blue
+     * @returns {number} Palette index
+     */
+    findNearest(palette, r, g, b) {
+        let matches = this.matchCache.get(palette);
+        if (!matches) {
+            matches = new Map();
+            this.matchCache.set(palette, matches);
+        }
+
+        const key = (r << 16) | (g << 8) | b;
+        if (matches.has(key)) return matches.get(key);
+
+        const labs = this.getPaletteLab(palette);
+        const [L, A, B] = this.toOklab(r, g, b);
+        let best = 0;
+        let bestDistance = Infinity;
+
+        for (let i = 0; i < labs.length; i++) {
+            const dL = labs[i][0] - L;
+            const dA = labs[i][1] - A;
+            const dB = labs[i][2] - B;
+            const distance = dL * dL + dA * dA + dB * dB;
+
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+
+        matches.set(key, best);
+        return best;
+    }
+
+    /**
+     * Get (cached) OKLab values for a palette
+     */
+    getPaletteLab(palette) {
+        let labs = this.labCache.get(palette);
+        if (!labs) {
+            labs = palette.map(([r, g, b]) => this.toOklab(r, g, b));
+            this.labCache.set(palette, labs);
+        }
+        return labs;
+    }
+
+    /**
+     * Convert sRGB (0-255) to OKLab
+     * @returns {number[]} [L, a, b]
+     */
+    toOklab(r, g, b) {
+        const lr = this.toLinear(r);
+        const lg = this.toLinear(g);
+        const lb = this.toLinear(b);
+
+        const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+        const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+        const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+        return [
+            0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        ];
+    }
+
+    /**
+     * Convert an sRGB channel (0-255) to linear light
+     */
+    toLinear(value) {
+        const c = value / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+}
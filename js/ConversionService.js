@@ -0,0 +1,141 @@
+/**
+ * ConversionService - Schedules ASCII conversions on a Web Worker
+ * Only one job runs at a time: starting a new job supersedes the old one
+ */
+import { ASCIIGrid } from './ASCIIGrid.js';
+
+export class ConversionService {
+    constructor() {
+        this.workerUrl = new URL('./ASCIIWorker.js', import.meta.url);
+        this.worker = null;
+        this.currentJob = null;
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Convert image data to ASCII in the worker
+     * The worker cuts out the region and resamples to the planned size, see ASCIICore.render;
+     * the image data buffer is transferred and unusable afterwards
+     * @param {ImageData} imageData - Canvas image data, usually at full resolution
+     * @param {Object} plan - Sampling size and grid, see GridSizer.plan
+     * @param {Object} options - Conversion options (see ASCIIProcessor)
+     * @param {Function} progressCallback - Progress update callback
+     * @param {Object|null} [region] - Rotation, flips and crop, see ImageProcessor.drawRegion
+     * @returns {Promise<Object>} ASCII result object
+     */
+    convert(imageData, plan, options, progressCallback = null, region = null) {
+        // Supersede any job that is still running
+        this.cancel();
+
+        const worker = this.getWorker();
+        const jobId = this.nextJobId++;
+
+        return new Promise((resolve, reject) => {
+            this.currentJob = { jobId, resolve, reject, progressCallback };
+
+            const buffer = imageData.data.buffer;
+            const { width, height } = imageData;
+            worker.postMessage({ jobId, buffer, width, height, plan, options, region }, [buffer]);
+        });
+    }
+
+    /**
+     * Cancel the running job, if any
+     * @returns {boolean} True if a job was cancelled
+     */
+    cancel() {
+        if (!this.currentJob) return false;
+
+        // Terminating is the only way to stop a synchronous loop in the worker
+        this.worker.terminate();
+        this.worker = null;
+
+        const job = this.currentJob;
+        this.currentJob = null;
+        job.reject(this.createCancellationError());
+
+        return true;
+    }
+
+    /**
+     * Check whether a job is running
+     * @returns {boolean} Busy state
+     */
+    isBusy() {
+        return this.currentJob !== null;
+    }
+
+    /**
+     * Check whether an error came from cancellation or supersession
+     * @param {Error} error - Error to check
+     * @returns {boolean} True for cancellation errors
+     */
+    isCancellation(error) {
+        return error && error.name === 'AbortError';
+    }
+
+    /**
+     * Get the worker, creating it if needed
+     * @returns {Worker} Conversion worker
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(this.workerUrl, { type: 'module' });
+            this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+            this.worker.addEventListener('error', (event) => this.handleWorkerError(event));
+        }
+        return this.worker;
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {Object} message - Worker message
+     */
+    handleMessage(message) {
+        const job = this.currentJob;
+
+        // Ignore messages from superseded jobs
+        if (!job || message.jobId !== job.jobId) return;
+
+        switch (message.type) {
+            case 'progress':
+                if (job.progressCallback) job.progressCallback(message.progress);
+                break;
+            case 'result':
+                this.currentJob = null;
+                job.resolve({
+                    ...message.result,
+                    grid: ASCIIGrid.from(message.result.grid)
+                });
+                break;
+            case 'error':
+                this.currentJob = null;
+                job.reject(new Error(message.message));
+                break;
+        }
+    }
+
+    /**
+     * Handle an uncaught worker error (e.g. failed to load)
+     * @param {ErrorEvent} event - Worker error event
+     */
+    handleWorkerError(event) {
+        // Discard the broken worker; the next job starts a fresh one
+        this.worker.terminate();
+        this.worker = null;
+
+        const job = this.currentJob;
+        if (!job) return;
+
+        this.currentJob = null;
+        job.reject(new Error(event.message || 'Conversion worker failed'));
+    }
+
+    /**
+     * Create the error used to reject cancelled jobs
+     * @returns {DOMException} Abort error
+     */
+    createCancellationError() {
+        return new DOMException('Conversion cancelled', 'AbortError');
+    }
+}
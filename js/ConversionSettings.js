@@ -0,0 +1,80 @@
+/**
+ * ConversionSettings - Turns stored settings into the configuration used for conversion
+ * Settings keep the units of the page's form controls (sliders in percent), so the
+ * page, saved presets and the command line all describe a conversion the same way
+ */
+export class ConversionSettings {
+    constructor() {
+        // Defaults of the form controls in index.html
+        this.DEFAULTS = {
+            sizingMode: 'scale',
+            targetCols: 80,
+            targetRows: null,
+            scale: 1,
+            videoFps: 10,
+            svgRasterSize: 1024,
+            pixelSize: 1,
+            renderMode: 'ascii',
+            edgeThreshold: 25,
+            edgeBlend: 50,
+            brailleThreshold: 50,
+            rampPreset: 'full',
+            customRamp: '',
+            aspectMode: 'auto',
+            cellAspect: 0.6,
+            ditherMode: 'none',
+            ditherSeed: 1,
+            colorMode: 'full',
+            inkColor: '#00ff00',
+            customPalette: '',
+            downloadQuality: 12,
+            ansiDepth: 'truecolor',
+            svgFontFamily: '\'Courier New\', Courier, monospace',
+            svgBackgroundEnabled: true,
+            svgBackground: '#000000',
+            htmlTheme: 'dark',
+            adjustments: {},
+            batchFormats: ['png', 'txt']
+        };
+    }
+
+    /**
+     * Parse settings into a conversion configuration
+     * @param {Object} settings - Settings keyed by setting name, see UIController.getSettings;
+     *     missing settings use the page defaults
+     * @returns {Object} Configuration for ASCIICore and the exporters
+     */
+    toConfig(settings) {
+        const s = { ...this.DEFAULTS, ...settings };
+
+        return {
+            sizingMode: s.sizingMode,
+            targetCols: parseInt(s.targetCols) || null,
+            targetRows: parseInt(s.targetRows) || null,
+            scale: parseFloat(s.scale),
+            videoFps: parseInt(s.videoFps),
+            svgRasterSize: parseInt(s.svgRasterSize),
+            pixelSize: parseInt(s.pixelSize),
+            renderMode: s.renderMode,
+            edgeThreshold: parseInt(s.edgeThreshold) / 100,
+            edgeBlend: parseInt(s.edgeBlend) / 100,
+            brailleThreshold: parseInt(s.brailleThreshold) / 100,
+            adjustments: s.adjustments,
+            rampPreset: s.rampPreset,
+            customRamp: s.customRamp,
+            aspectMode: s.aspectMode,
+            cellAspect: parseFloat(s.cellAspect),
+            ditherMode: s.ditherMode,
+            ditherSeed: parseInt(s.ditherSeed) || 0,
+            colorMode: s.colorMode,
+            inkColor: s.inkColor,
+            customPalette: s.customPalette,
+            downloadQuality: parseInt(s.downloadQuality),
+            ansiDepth: s.ansiDepth,
+            svgFontFamily: s.svgFontFamily,
+            svgBackground: s.svgBackgroundEnabled ? s.svgBackground : null,
+            htmlTheme: s.htmlTheme,
+            batchFormats: s.batchFormats
+        };
+    }
+}
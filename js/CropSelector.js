@@ -0,0 +1,265 @@
+/**
+ * CropSelector - Draggable crop rectangle over the original image preview
+ * Works in displayed pixels and reports the crop as fractions of the image
+ */
+export class CropSelector {
+    constructor() {
+        this.stage = null;
+        this.box = null;
+        this.crop = null;
+        this.aspect = null;
+        this.drag = null;
+        this.onChange = null;
+
+        // Drags smaller than this (in screen pixels) count as a click and clear the crop
+        this.MIN_DRAG = 4;
+    }
+
+    /**
+     * Show an image with the crop rectangle on top of it
+     * @param {HTMLElement} container - Preview element to fill
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Image as it will be cropped
+     * @param {Object|null} crop - Crop { x, y, width, height } as fractions, or null for the whole image
+     */
+    attach(container, image, crop) {
+        this.stage = document.createElement('div');
+        this.stage.className = 'crop-stage';
+        this.stage.title = 'Drag to select the region to convert';
+
+        this.box = document.createElement('div');
+        this.box.className = 'crop-box';
+        for (const corner of ['nw', 'ne', 'sw', 'se']) {
+            const handle = document.createElement('div');
+            handle.className = `crop-handle crop-handle-${corner}`;
+            handle.dataset.corner = corner;
+            this.box.appendChild(handle);
+        }
+
+        this.stage.appendChild(image);
+        this.stage.appendChild(this.box);
+        container.appendChild(this.stage);
+
+        this.stage.addEventListener('pointerdown', (e) => this.startDrag(e));
+        this.stage.addEventListener('pointermove', (e) => this.moveDrag(e));
+        this.stage.addEventListener('pointerup', (e) => this.endDrag(e));
+        this.stage.addEventListener('pointercancel', (e) => this.endDrag(e));
+
+        this.crop = crop;
+        this.drag = null;
+        this.render();
+    }
+
+    /**
+     * Lock the crop to an aspect ratio, fitting the largest such region around the current one
+     * @param {number|null} aspect - Width / height in image pixels, or null to unlock
+     */
+    setAspect(aspect) {
+        this.aspect = aspect;
+        if (!aspect || !this.stage) return;
+
+        const bounds = this.stage.getBoundingClientRect();
+        if (bounds.width === 0 || bounds.height === 0) return;
+
+        const current = this.toPixels(this.crop || { x: 0, y: 0, width: 1, height: 1 }, bounds);
+        const width = Math.min(bounds.width, bounds.height * aspect);
+        const height = width / aspect;
+        const centerX = current.x + current.width / 2;
+        const centerY = current.y + current.height / 2;
+
+        this.setPixelCrop({
+            x: this.clamp(centerX - width / 2, 0, bounds.width - width),
+            y: this.clamp(centerY - height / 2, 0, bounds.height - height),
+            width,
+            height
+        }, bounds);
+        this.notify();
+    }
+
+    /**
+     * Begin moving, resizing or drawing the rectangle
+     * @param {PointerEvent} e - Pointer event
+     */
+    startDrag(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+
+        const bounds = this.stage.getBoundingClientRect();
+        const point = this.getPoint(e, bounds);
+        const rect = this.crop ? this.toPixels(this.crop, bounds) : null;
+        const corner = e.target.dataset.corner;
+
+        if (corner && rect) {
+            // Resize from the corner opposite the grabbed handle
+            this.drag = {
+                mode: 'resize',
+                anchor: {
+                    x: corner.includes('w') ? rect.x + rect.width : rect.x,
+                    y: corner.includes('n') ? rect.y + rect.height : rect.y
+                }
+            };
+        } else if (e.target === this.box) {
+            this.drag = { mode: 'move', offset: { x: point.x - rect.x, y: point.y - rect.y }, rect };
+        } else {
+            this.drag = { mode: 'draw', anchor: point, moved: false };
+        }
+
+        this.stage.setPointerCapture(e.pointerId);
+    }
+
+    /**
+     * Update the rectangle while dragging
+     * @param {PointerEvent} e - Pointer event
+     */
+    moveDrag(e) {
+        if (!this.drag) return;
+
+        const bounds = this.stage.getBoundingClientRect();
+        const point = this.getPoint(e, bounds);
+
+        if (this.drag.mode === 'move') {
+            const { width, height } = this.drag.rect;
+            this.setPixelCrop({
+                x: this.clamp(point.x - this.drag.offset.x, 0, bounds.width - width),
+                y: this.clamp(point.y - this.drag.offset.y, 0, bounds.height - height),
+                width,
+                height
+            }, bounds);
+            return;
+        }
+
+        const { anchor } = this.drag;
+        if (this.drag.mode === 'draw' && !this.drag.moved) {
+            if (Math.hypot(point.x - anchor.x, point.y - anchor.y) < this.MIN_DRAG) return;
+            this.drag.moved = true;
+        }
+
+        this.setPixelCrop(this.getRectFromAnchor(anchor, point, bounds), bounds);
+    }
+
+    /**
+     * Finish dragging and report the new crop
+     * @param {PointerEvent} e - Pointer event
+     */
+    endDrag(e) {
+        if (!this.drag) return;
+
+        // A click without dragging selects the whole image again
+        if (this.drag.mode === 'draw' && !this.drag.moved) {
+            this.crop = null;
+            this.render();
+        }
+
+        this.drag = null;
+        this.stage.releasePointerCapture(e.pointerId);
+        this.notify();
+    }
+
+    /**
+     * Build a rectangle from a fixed corner to the pointer, honouring the aspect lock
+     * @param {Object} anchor - Fixed corner { x, y }
+     * @param {Object} point - Pointer position { x, y }
+     * @param {DOMRect} bounds - Stage bounds
+     * @returns {Object} Rectangle { x, y, width, height } in stage pixels
+     */
+    getRectFromAnchor(anchor, point, bounds) {
+        const directionX = point.x >= anchor.x ? 1 : -1;
+        const directionY = point.y >= anchor.y ? 1 : -1;
+
+        // Only ever shrink towards the aspect, so the rectangle stays inside the image
+        let width = Math.min(Math.abs(point.x - anchor.x), directionX > 0 ? bounds.width - anchor.x : anchor.x);
+        let height = Math.min(Math.abs(point.y - anchor.y), directionY > 0 ? bounds.height - anchor.y : anchor.y);
+
+        if (this.aspect) {
+            if (width / height > this.aspect) {
+                width = height * this.aspect;
+            } else {
+                height = width / this.aspect;
+            }
+        }
+
+        return {
+            x: directionX > 0 ? anchor.x : anchor.x - width,
+            y: directionY > 0 ? anchor.y : anchor.y - height,
+            width,
+            height
+        };
+    }
+
+    /**
+     * Store a rectangle given in stage pixels
+     * @param {Object} rect - Rectangle { x, y, width, height }
+     * @param {DOMRect} bounds - Stage bounds
+     */
+    setPixelCrop(rect, bounds) {
+        this.crop = rect.width > 0 && rect.height > 0
+            ? {
+                x: rect.x / bounds.width,
+                y: rect.y / bounds.height,
+                width: rect.width / bounds.width,
+                height: rect.height / bounds.height
+            }
+            : null;
+        this.render();
+    }
+
+    /**
+     * Convert a fractional crop into stage pixels
+     * @param {Object} crop - Crop { x, y, width, height } as fractions
+     * @param {DOMRect} bounds - Stage bounds
+     * @returns {Object} Rectangle in stage pixels
+     */
+    toPixels(crop, bounds) {
+        return {
+            x: crop.x * bounds.width,
+            y: crop.y * bounds.height,
+            width: crop.width * bounds.width,
+            height: crop.height * bounds.height
+        };
+    }
+
+    /**
+     * Get the pointer position inside the stage
+     * @param {PointerEvent} e - Pointer event
+     * @param {DOMRect} bounds - Stage bounds
+     * @returns {Object} Position { x, y } clamped to the stage
+     */
+    getPoint(e, bounds) {
+        return {
+            x: this.clamp(e.clientX - bounds.left, 0, bounds.width),
+            y: this.clamp(e.clientY - bounds.top, 0, bounds.height)
+        };
+    }
+
+    /**
+     * Clamp a value to a range
+     * @param {number} value - Value
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Clamped value
+     */
+    clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    /**
+     * Position the rectangle element
+     */
+    render() {
+        this.box.hidden = !this.crop;
+        if (!this.crop) return;
+
+        this.box.style.left = `${this.crop.x * 100}%`;
+        this.box.style.top = `${this.crop.y * 100}%`;
+        this.box.style.width = `${this.crop.width * 100}%`;
+        this.box.style.height = `${this.crop.height * 100}%`;
+    }
+
+    /**
+     * Report the crop to the listener
+     */
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.crop ? { ...this.crop } : null);
+        }
+    }
+}
@@ -0,0 +1,182 @@
+/**
+ * Ditherer - Quantizes cell brightness to ramp levels with optional dithering
+ * Works on the character grid, not on source pixels; every mode is deterministic
+ */
+export class Ditherer {
+    constructor() {
+        // Ordered dithering threshold matrices (values 0..n*n-1)
+        this.BAYER_MATRICES = {
+            2: [
+                [0, 2],
+                [3, 1]
+            ],
+            4: [
+                [0, 8, 2, 10],
+                [12, 4, 14, 6],
+                [3, 11, 1, 9],
+                [15, 7, 13, 5]
+            ],
+            8: [
+                [0, 32, 8, 40, 2, 34, 10, 42],
+                [48, 16, 56, 24, 50, 18, 58, 26],
+                [12, 44, 4, 36, 14, 46, 6, 38],
+                [60, 28, 52, 20, 62, 30, 54, 22],
+                [3, 35, 11, 43, 1, 33, 9, 41],
+                [51, 19, 59, 27, 49, 17, 57, 25],
+                [15, 47, 7, 39, 13, 45, 5, 37],
+                [63, 31, 55, 23, 61, 29, 53, 21]
+            ]
+        };
+
+        // Error diffusion kernels as [dx, dy, weight] with a common divisor
+        this.DIFFUSION_KERNELS = {
+            'floyd-steinberg': {
+                divisor: 16,
+                offsets: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+            },
+            'atkinson': {
+                // Only 6/8 of the error is diffused, which keeps highlights crisp
+                divisor: 8,
+                offsets: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+            },
+            'jarvis-judice-ninke': {
+                divisor: 48,
+                offsets: [
+                    [1, 0, 7], [2, 0, 5],
+                    [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+                    [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+                ]
+            }
+        };
+
+        // Brightness range of seeded noise (+/- half of this)
+        this.NOISE_AMOUNT = 0.1;
+    }
+
+    /**
+     * Quantize brightness values to ramp indices
+     * @param {Float32Array} values - Brightness per cell (0-1)
+     * @param {number} cols - Grid columns
+     * @param {number} rows - Grid rows
+     * @param {number[]} levels - Ramp levels in ascending order (0-1)
+     * @param {Uint16Array} lookup - Brightness (0-255) to nearest level index table
+     * @param {Object} options - Dithering options
+     * @param {string} [options.mode='none'] - Dithering mode
+     * @param {number} [options.seed=1] - Seed for noise mode
+     * @param {Uint8Array} [skip] - Cells to leave out (1 = skip)
+     * @returns {Uint16Array} Ramp index per cell
+     */
+    quantize(values, cols, rows, levels, lookup, options = {}, skip = null) {
+        const mode = options.mode || 'none';
+
+        if (mode.startsWith('bayer')) {
+            return this.quantizeOrdered(values, cols, rows, levels, lookup, parseInt(mode.slice(5)));
+        }
+        if (this.DIFFUSION_KERNELS[mode]) {
+            return this.quantizeDiffusion(values, cols, rows, levels, lookup, this.DIFFUSION_KERNELS[mode], skip);
+        }
+        if (mode === 'noise') {
+            return this.quantizeNoise(values, lookup, options.seed ?? 1);
+        }
+
+        const indices = new Uint16Array(values.length);
+        for (let i = 0; i < values.length; i++) {
+            indices[i] = this.nearestLevel(values[i], lookup);
+        }
+        return indices;
+    }
+
+    /**
+     * Ordered (Bayer) dithering: offset brightness by a tiled threshold
+     */
+    quantizeOrdered(values, cols, rows, levels, lookup, size) {
+        const matrix = this.BAYER_MATRICES[size];
+        const cells = size * size;
+        const step = 1 / Math.max(1, levels.length - 1);
+        const indices = new Uint16Array(values.length);
+
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                const i = y * cols + x;
+                const threshold = (matrix[y % size][x % size] + 0.5) / cells - 0.5;
+                indices[i] = this.nearestLevel(values[i] + threshold * step, lookup);
+            }
+        }
+
+        return indices;
+    }
+
+    /**
+     * Error diffusion dithering over the grid
+     */
+    quantizeDiffusion(values, cols, rows, levels, lookup, kernel, skip) {
+        const working = Float32Array.from(values);
+        const indices = new Uint16Array(values.length);
+
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                const i = y * cols + x;
+                if (skip && skip[i]) continue;
+
+                const index = this.nearestLevel(working[i], lookup);
+                const error = working[i] - levels[index];
+                indices[i] = index;
+
+                for (const [dx, dy, weight] of kernel.offsets) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= cols || ny >= rows) continue;
+
+                    const n = ny * cols + nx;
+                    if (skip && skip[n]) continue;
+                    working[n] += error * weight / kernel.divisor;
+                }
+            }
+        }
+
+        return indices;
+    }
+
+    /**
+     * Seeded random noise added to brightness
+     */
+    quantizeNoise(values, lookup, seed) {
+        const random = this.createRandom(seed);
+        const indices = new Uint16Array(values.length);
+
+        for (let i = 0; i < values.length; i++) {
+            const variation = (random() - 0.5) * this.NOISE_AMOUNT;
+            indices[i] = this.nearestLevel(values[i] + variation, lookup);
+        }
+
+        return indices;
+    }
+
+    /**
+     * Find the nearest ramp level for a brightness value
+     * @param {number} value - Brightness (clamped to 0-1)
+     * @param {Uint16Array} lookup - Lookup table
+     * @returns {number} Ramp index
+     */
+    nearestLevel(value, lookup) {
+        const clamped = Math.max(0, Math.min(1, value));
+        return lookup[Math.round(clamped * 255)];
+    }
+
+    /**
+     * Create a seeded pseudo-random generator (mulberry32)
+     * @param {number} seed - Integer seed
+     * @returns {Function} Generator returning values in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * EdgeDetector - Sobel edge detection aggregated per character cell
+ * Picks a directional glyph for cells whose edge strength passes a threshold
+ */
+export class EdgeDetector {
+    constructor() {
+        // Largest Sobel magnitude on 0-1 luminance is 4 * sqrt(2); 4 maps a hard step to 1
+        this.MAGNITUDE_SCALE = 4;
+    }
+
+    /**
+     * Compute Sobel gradients of the luminance channel
+     * @param {Uint8ClampedArray} data - RGBA pixel data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Object} gx and gy gradient arrays
+     */
+    computeGradients(data, width, height) {
+        const gray = new Float32Array(width * height);
+        for (let i = 0; i < gray.length; i++) {
+            const p = i * 4;
+            // Transparent pixels count as dark so silhouettes produce edges
+            const alpha = data[p + 3] / 255;
+            gray[i] = alpha * (data[p] * 0.299 + data[p + 1] * 0.587 + data[p + 2] * 0.114) / 255;
+        }
+
+        const gx = new Float32Array(width * height);
+        const gy = new Float32Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            const up = Math.max(0, y - 1) * width;
+            const mid = y * width;
+            const down = Math.min(height - 1, y + 1) * width;
+
+            for (let x = 0; x < width; x++) {
+                const left = Math.max(0, x - 1);
+                const right = Math.min(width - 1, x + 1);
+
+                const tl = gray[up + left], tc = gray[up + x], tr = gray[up + right];
+                const ml = gray[mid + left], mr = gray[mid + right];
+                const bl = gray[down + left], bc = gray[down + x], br = gray[down + right];
+
+                gx[mid + x] = (tr + 2 * mr + br) - (tl + 2 * ml + bl);
+                gy[mid + x] = (bl + 2 * bc + br) - (tl + 2 * tc + tr);
+            }
+        }
+
+        return { gx, gy };
+    }
+
+    /**
+     * Detect edges per character cell
+     * @param {Uint8ClampedArray} data - RGBA pixel data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} cols - Grid columns
+     * @param {number} rows - Grid rows
+     * @param {number} blockWidth - Cell width in pixels
+     * @param {number} blockHeight - Cell height in pixels
+     * @returns {Object} strength (0-1) and glyph code per cell
+     */
+    detectCellEdges(data, width, height, cols, rows, blockWidth, blockHeight) {
+        const { gx, gy } = this.computeGradients(data, width, height);
+        const strength = new Float32Array(cols * rows);
+        const glyphs = new Uint32Array(cols * rows);
+
+        for (let row = 0; row < rows; row++) {
+            const startY = Math.floor(row * blockHeight);
+            const endY = Math.min(Math.max(startY + 1, Math.floor((row + 1) * blockHeight)), height);
+
+            for (let col = 0; col < cols; col++) {
+                const startX = Math.floor(col * blockWidth);
+                const endX = Math.min(Math.max(startX + 1, Math.floor((col + 1) * blockWidth)), width);
+
+                // Doubled-angle sums keep opposite gradients of a thin line from cancelling
+                let sumCos = 0, sumSin = 0, maxMagnitude = 0, maxY = startY;
+
+                for (let y = startY; y < endY; y++) {
+                    for (let x = startX; x < endX; x++) {
+                        const i = y * width + x;
+                        const dx = gx[i], dy = gy[i];
+                        const magnitude = Math.sqrt(dx * dx + dy * dy);
+
+                        sumCos += dx * dx - dy * dy;
+                        sumSin += 2 * dx * dy;
+
+                        if (magnitude > maxMagnitude) {
+                            maxMagnitude = magnitude;
+                            maxY = y;
+                        }
+                    }
+                }
+
+                const cell = row * cols + col;
+                const gradientAngle = Math.atan2(sumSin, sumCos) / 2;
+                const lowerHalf = maxY - startY >= (endY - startY) / 2;
+
+                strength[cell] = Math.min(1, maxMagnitude / this.MAGNITUDE_SCALE);
+                glyphs[cell] = this.selectGlyph(gradientAngle, lowerHalf).codePointAt(0);
+            }
+        }
+
+        return { strength, glyphs };
+    }
+
+    /**
+     * Select a directional glyph for a gradient orientation
+     * @param {number} gradientAngle - Gradient angle in radians (image y axis points down)
+     * @param {boolean} lowerHalf - Whether the edge sits in the lower half of the cell
+     * @returns {string} Edge glyph
+     */
+    selectGlyph(gradientAngle, lowerHalf) {
+        // The edge runs perpendicular to the gradient; flip y to get a screen angle
+        const edgeAngle = gradientAngle + Math.PI / 2;
+        let degrees = Math.atan2(-Math.sin(edgeAngle), Math.cos(edgeAngle)) * 180 / Math.PI;
+        degrees = ((degrees % 180) + 180) % 180;
+
+        if (degrees < 22.5 || degrees >= 157.5) return lowerHalf ? '_' : '-';
+        if (degrees < 67.5) return '/';
+        if (degrees < 112.5) return '|';
+        return '\\';
+    }
+}
@@ -2,17 +2,32 @@
  * ExportService - Handles clipboard and download operations
  * Follows Single Responsibility Principle
  */
+import { GridRenderer } from './GridRenderer.js';
+import { GifEncoder } from './GifEncoder.js';
+import { ZipWriter } from './ZipWriter.js';
+
 export class ExportService {
+    /**
+     * @param {Function|null} [createCanvas] - (width, height) => canvas for rendered exports;
+     *     defaults to a page canvas, Node passes one from a canvas package
+     */
+    constructor(createCanvas = null) {
+        this.createCanvas = createCanvas || ((width, height) =>
+            Object.assign(document.createElement('canvas'), { width, height }));
+        this.renderer = new GridRenderer();
+        this.ANIMATION_BACKGROUND = '#000000';
+        this.PALETTE_SAMPLE_FRAMES = 8;
+        this.PALETTE_SAMPLES_PER_FRAME = 20000;
+    }
+
     /**
      * Copy ASCII text to clipboard
-     * @param {string} asciiHTML - ASCII art HTML
+     * @param {ASCIIGrid} grid - ASCII cell grid
      * @returns {Promise<boolean>} Success status
      */
-    async copyToClipboard(asciiHTML) {
+    async copyToClipboard(grid) {
         try {
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = asciiHTML;
-            const plainText = tempDiv.textContent || tempDiv.innerText;
+            const plainText = this.renderer.toPlainText(grid);
             
             await navigator.clipboard.writeText(plainText);
             return true;
@@ -32,32 +47,360 @@ export class ExportService {
         const qualityName = this.getQualityName(fontSize);
         const filename = `ascii-art-${asciiResult.scale}x-${qualityName}-${Date.now()}.png`;
         
-        // Trigger download
+        this.triggerDownload(canvas.toDataURL('image/png'), filename);
+        
+        return filename;
+    }
+
+    /**
+     * Copy ASCII art with ANSI color escapes to clipboard
+     * @param {ASCIIGrid} grid - ASCII cell grid
+     * @param {string} depth - 'truecolor', '256' or '16'
+     * @returns {Promise<boolean>} Success status
+     */
+    async copyANSIToClipboard(grid, depth) {
+        try {
+            await navigator.clipboard.writeText(this.renderer.toANSI(grid, depth));
+            return true;
+        } catch (error) {
+            throw new Error('Failed to copy to clipboard');
+        }
+    }
+
+    /**
+     * Download ASCII art as an ANSI escape-sequence file
+     * @param {Object} asciiResult - ASCII result object
+     * @param {string} depth - 'truecolor', '256' or '16'
+     * @returns {string} Generated filename
+     */
+    downloadAsANSI(asciiResult, depth) {
+        const ansi = this.renderer.toANSI(asciiResult.grid, depth);
+        const filename = `ascii-art-${asciiResult.scale}x-${depth}-${Date.now()}.ans`;
+        
+        this.downloadBlob(new Blob([ansi], { type: 'text/plain;charset=utf-8' }), filename);
+        
+        return filename;
+    }
+
+    /**
+     * Download ASCII art as a scalable SVG
+     * @param {Object} asciiResult - ASCII result object
+     * @param {Object} options - SVG options ({ fontSize, fontFamily, background })
+     * @returns {string} Generated filename
+     */
+    downloadAsSVG(asciiResult, options) {
+        const svg = this.renderer.toSVG(asciiResult.grid, {
+            ...options,
+            cellAspect: asciiResult.cellAspect
+        });
+        const filename = `ascii-art-${asciiResult.scale}x-${Date.now()}.svg`;
+        
+        this.downloadBlob(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), filename);
+        
+        return filename;
+    }
+
+    /**
+     * Download ASCII art as a self-contained HTML page
+     * @param {Object} asciiResult - ASCII result object
+     * @param {Object} options - Page options ({ theme, fontSize })
+     * @returns {string} Generated filename
+     */
+    downloadAsHTML(asciiResult, options) {
+        const html = this.renderer.toStandaloneHTML(asciiResult.grid, {
+            ...options,
+            cellAspect: asciiResult.cellAspect
+        });
+        const filename = `ascii-art-${asciiResult.scale}x-${Date.now()}.html`;
+        
+        this.downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), filename);
+        
+        return filename;
+    }
+
+    /**
+     * Render a result in one of the single-image export formats
+     * @param {Object} asciiResult - ASCII result object
+     * @param {string} format - 'png', 'txt', 'ans', 'svg' or 'html'
+     * @param {Object} options - Export settings
+     * @param {number} options.fontSize - Font size for PNG, SVG and HTML
+     * @param {string} options.ansiDepth - ANSI color depth
+     * @param {string} options.svgFontFamily - SVG font family
+     * @param {string|null} options.svgBackground - SVG background color
+     * @param {string} options.htmlTheme - HTML page theme
+     * @returns {Promise<Uint8Array|string>} File contents
+     */
+    async createExportFile(asciiResult, format, options) {
+        const grid = asciiResult.grid;
+
+        switch (format) {
+            case 'png': {
+                const png = await this.canvasToBlob(this.createDownloadCanvas(asciiResult, options.fontSize));
+                return new Uint8Array(await png.arrayBuffer());
+            }
+            case 'txt':
+                return this.renderer.toPlainText(grid);
+            case 'ans':
+                return this.renderer.toANSI(grid, options.ansiDepth);
+            case 'svg':
+                return this.renderer.toSVG(grid, {
+                    fontSize: options.fontSize,
+                    fontFamily: options.svgFontFamily,
+                    background: options.svgBackground,
+                    cellAspect: asciiResult.cellAspect
+                });
+            case 'html':
+                return this.renderer.toStandaloneHTML(grid, {
+                    theme: options.htmlTheme,
+                    fontSize: options.fontSize,
+                    cellAspect: asciiResult.cellAspect
+                });
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    /**
+     * Download all frames of an animation as a looping GIF
+     * @param {Object} asciiResult - ASCII result object with frames
+     * @param {number} fontSize - Font size for rendering
+     * @param {Function} progressCallback - Receives progress (0-100)
+     * @returns {Promise<string>} Generated filename
+     */
+    async downloadAsGIF(asciiResult, fontSize, progressCallback) {
+        const frames = asciiResult.frames;
+        const canvas = this.createDownloadCanvas(asciiResult, fontSize, this.ANIMATION_BACKGROUND);
+        const ctx = canvas.getContext('2d');
+
+        const palette = GifEncoder.createPalette(this.samplePaletteColors(asciiResult, canvas, fontSize));
+        const encoder = new GifEncoder(canvas.width, canvas.height, palette);
+
+        for (let i = 0; i < frames.length; i++) {
+            this.drawToCanvas(canvas, frames[i].grid, fontSize, asciiResult.cellAspect, this.ANIMATION_BACKGROUND);
+            encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, frames[i].delay);
+
+            progressCallback(Math.round(((i + 1) / frames.length) * 100));
+            await this.yieldToBrowser();
+        }
+
+        const filename = `ascii-animation-${asciiResult.scale}x-${this.getQualityName(fontSize)}-${Date.now()}.gif`;
+        this.downloadBlob(encoder.finish(), filename);
+
+        return filename;
+    }
+
+    /**
+     * Collect rendered pixel colors from evenly spaced frames for the GIF palette
+     * @param {Object} asciiResult - ASCII result object with frames
+     * @param {HTMLCanvasElement} canvas - Canvas sized for the animation
+     * @param {number} fontSize - Font size for rendering
+     * @returns {Uint8Array} RGB triples
+     */
+    samplePaletteColors(asciiResult, canvas, fontSize) {
+        const frames = asciiResult.frames;
+        const ctx = canvas.getContext('2d');
+        const frameCount = Math.min(frames.length, this.PALETTE_SAMPLE_FRAMES);
+        const pixelCount = canvas.width * canvas.height;
+        const stride = Math.max(1, Math.floor(pixelCount / this.PALETTE_SAMPLES_PER_FRAME));
+        const samples = new Uint8Array(frameCount * Math.ceil(pixelCount / stride) * 3);
+        let length = 0;
+
+        for (let f = 0; f < frameCount; f++) {
+            const frame = frames[Math.floor((f * frames.length) / frameCount)];
+            this.drawToCanvas(canvas, frame.grid, fontSize, asciiResult.cellAspect, this.ANIMATION_BACKGROUND);
+            const data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+
+            for (let i = 0; i < pixelCount; i += stride) {
+                samples[length++] = data[i * 4];
+                samples[length++] = data[i * 4 + 1];
+                samples[length++] = data[i * 4 + 2];
+            }
+        }
+
+        return samples.subarray(0, length);
+    }
+
+    /**
+     * Record an animation to WebM by playing it on a canvas in real time
+     * @param {Object} asciiResult - ASCII result object with frames
+     * @param {number} fontSize - Font size for rendering
+     * @param {Function} progressCallback - Receives progress (0-100)
+     * @returns {Promise<string>} Generated filename
+     */
+    async downloadAsWebM(asciiResult, fontSize, progressCallback) {
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => window.MediaRecorder && MediaRecorder.isTypeSupported(type));
+
+        if (!mimeType) {
+            throw new Error('WebM recording is not supported in this browser');
+        }
+
+        const frames = asciiResult.frames;
+        const canvas = this.createDownloadCanvas(asciiResult, fontSize, this.ANIMATION_BACKGROUND);
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const chunks = [];
+
+        recorder.addEventListener('dataavailable', (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        });
+        const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+
+        recorder.start();
+        for (let i = 0; i < frames.length; i++) {
+            this.drawToCanvas(canvas, frames[i].grid, fontSize, asciiResult.cellAspect, this.ANIMATION_BACKGROUND);
+            track.requestFrame();
+
+            progressCallback(Math.round(((i + 1) / frames.length) * 100));
+            await new Promise(resolve => setTimeout(resolve, frames[i].delay));
+        }
+        recorder.stop();
+        await stopped;
+        track.stop();
+
+        const filename = `ascii-animation-${asciiResult.scale}x-${this.getQualityName(fontSize)}-${Date.now()}.webm`;
+        this.downloadBlob(new Blob(chunks, { type: 'video/webm' }), filename);
+
+        return filename;
+    }
+
+    /**
+     * Download a ZIP of numbered PNG frames plus the text of every frame as JSON
+     * @param {Object} asciiResult - ASCII result object with frames
+     * @param {number} fontSize - Font size for rendering
+     * @param {Function} progressCallback - Receives progress (0-100)
+     * @returns {Promise<string>} Generated filename
+     */
+    async downloadAsFrameSequence(asciiResult, fontSize, progressCallback) {
+        const frames = asciiResult.frames;
+        const canvas = this.createDownloadCanvas(asciiResult, fontSize);
+        const zip = new ZipWriter();
+        const digits = Math.max(4, String(frames.length).length);
+
+        for (let i = 0; i < frames.length; i++) {
+            this.drawToCanvas(canvas, frames[i].grid, fontSize, asciiResult.cellAspect);
+            const png = await this.canvasToBlob(canvas);
+            zip.addFile(`frame-${String(i + 1).padStart(digits, '0')}.png`, new Uint8Array(await png.arrayBuffer()));
+
+            progressCallback(Math.round(((i + 1) / frames.length) * 100));
+        }
+
+        zip.addFile('frames.json', JSON.stringify({
+            cols: asciiResult.width,
+            rows: asciiResult.height,
+            cellAspect: asciiResult.cellAspect,
+            frames: frames.map(frame => ({
+                delay: frame.delay,
+                text: this.renderer.toPlainText(frame.grid)
+            }))
+        }, null, 2));
+
+        const filename = `ascii-frames-${asciiResult.scale}x-${this.getQualityName(fontSize)}-${Date.now()}.zip`;
+        this.downloadBlob(zip.toBlob(), filename);
+
+        return filename;
+    }
+
+    /**
+     * Encode a canvas as PNG
+     * @param {HTMLCanvasElement} canvas - Canvas
+     * @returns {Promise<Blob>} PNG blob
+     */
+    canvasToBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Failed to encode frame'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * Let the browser paint between long-running export steps
+     * @returns {Promise<void>} Resolves on the next task
+     */
+    yieldToBrowser() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    /**
+     * Download a blob as a file
+     * @param {Blob} blob - File contents
+     * @param {string} filename - File name
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        this.triggerDownload(url, filename);
+        
+        // Give the browser time to start the download before releasing the URL
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Trigger a browser download via a temporary link
+     * @param {string} href - Data or object URL
+     * @param {string} filename - File name
+     */
+    triggerDownload(href, filename) {
         const link = document.createElement('a');
         link.download = filename;
-        link.href = canvas.toDataURL('image/png');
+        link.href = href;
         link.click();
-        
-        return filename;
     }
 
     /**
      * Create canvas for download
      * @param {Object} asciiResult - ASCII result object
      * @param {number} fontSize - Font size
+     * @param {string|null} [background=null] - Fill color, or null for transparent
      * @returns {HTMLCanvasElement} Canvas element
      */
-    createDownloadCanvas(asciiResult, fontSize) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
+    createDownloadCanvas(asciiResult, fontSize, background = null) {
+        const { charWidth, charHeight } = this.getCellSize(fontSize, asciiResult.cellAspect);
+        const canvas = this.createCanvas(
+            Math.ceil(asciiResult.width * charWidth),
+            Math.ceil(asciiResult.height * charHeight)
+        );
         
-        // Calculate character dimensions for Courier New
-        const charWidth = fontSize * 0.6;
-        const charHeight = fontSize;
+        this.drawToCanvas(canvas, asciiResult.grid, fontSize, asciiResult.cellAspect, background);
         
-        // Set canvas dimensions
-        canvas.width = Math.ceil(asciiResult.width * charWidth);
-        canvas.height = Math.ceil(asciiResult.height * charHeight);
+        return canvas;
+    }
+
+    /**
+     * Get the character cell size for a font size
+     * @param {number} fontSize - Font size
+     * @param {number} cellAspect - Cell width / height the image was sampled with
+     * @returns {Object} { charWidth, charHeight }
+     */
+    getCellSize(fontSize, cellAspect) {
+        // Courier New advances 0.6em; rows are spaced so each cell keeps
+        // the aspect the image was sampled with
+        const charWidth = fontSize * 0.6;
+        return { charWidth, charHeight: charWidth / (cellAspect || 0.6) };
+    }
+
+    /**
+     * Render a grid onto an existing download canvas, replacing its contents
+     * @param {HTMLCanvasElement} canvas - Canvas sized by createDownloadCanvas
+     * @param {ASCIIGrid} grid - ASCII cell grid
+     * @param {number} fontSize - Font size
+     * @param {number} cellAspect - Cell width / height
+     * @param {string|null} [background=null] - Fill color, or null for transparent
+     */
+    drawToCanvas(canvas, grid, fontSize, cellAspect, background = null) {
+        const ctx = canvas.getContext('2d');
+        const { charWidth, charHeight } = this.getCellSize(fontSize, cellAspect);
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
         
         // Configure canvas for crisp text rendering
         ctx.imageSmoothingEnabled = false;
@@ -66,40 +409,7 @@ export class ExportService {
         ctx.textBaseline = 'top';
         
         // Render ASCII to canvas
-        this.renderASCIIToCanvas(ctx, asciiResult.html, charWidth, charHeight);
-        
-        return canvas;
-    }
-
-    /**
-     * Render ASCII HTML to canvas
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {string} asciiHTML - ASCII HTML
-     * @param {number} charWidth - Character width
-     * @param {number} charHeight - Character height
-     */
-    renderASCIIToCanvas(ctx, asciiHTML, charWidth, charHeight) {
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = asciiHTML;
-        
-        const rows = tempDiv.querySelectorAll('div');
-        
-        for (let y = 0; y < rows.length; y++) {
-            const row = rows[y];
-            const spans = row.querySelectorAll('span');
-            
-            for (let x = 0; x < spans.length; x++) {
-                const span = spans[x];
-                const char = span.textContent;
-                const color = span.style.color;
-                
-                // Skip transparent spans and invisible spaces
-                if (color && color !== 'transparent' && char !== ' ') {
-                    ctx.fillStyle = color;
-                    ctx.fillText(char, x * charWidth, y * charHeight);
-                }
-            }
-        }
+        this.renderer.renderToCanvas(ctx, grid, charWidth, charHeight);
     }
 
     /**
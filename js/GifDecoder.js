@@ -0,0 +1,335 @@
+/**
+ * GifDecoder - Decodes (animated) GIF files into full RGBA frames
+ * Composites every frame onto the logical screen, honouring transparency,
+ * per-frame delays and disposal methods, so frames can be used independently
+ */
+export class GifDecoder {
+    constructor() {
+        // Browsers play delays of 0 or 10ms at 100ms; match them
+        this.MIN_DELAY = 20;
+        this.DEFAULT_DELAY = 100;
+
+        this.DISPOSAL_RESTORE_BACKGROUND = 2;
+        this.DISPOSAL_RESTORE_PREVIOUS = 3;
+    }
+
+    /**
+     * Decode a GIF file
+     * @param {ArrayBuffer} buffer - GIF file contents
+     * @returns {Object} { width, height, frames: [{ data: Uint8ClampedArray, delay }] }
+     */
+    decode(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const signature = String.fromCharCode(...bytes.subarray(0, 6));
+
+        if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+            throw new Error('Not a GIF file');
+        }
+
+        const width = bytes[6] | (bytes[7] << 8);
+        const height = bytes[8] | (bytes[9] << 8);
+        const flags = bytes[10];
+        let pos = 13;
+
+        let globalPalette = null;
+        if (flags & 0x80) {
+            const size = 3 << ((flags & 0x07) + 1);
+            globalPalette = bytes.subarray(pos, pos + size);
+            pos += size;
+        }
+
+        const canvas = new Uint8ClampedArray(width * height * 4);
+        const frames = [];
+        let control = this.createGraphicControl();
+
+        while (pos < bytes.length) {
+            const blockType = bytes[pos++];
+
+            if (blockType === 0x3B) break; // Trailer
+
+            if (blockType === 0x21) {
+                const label = bytes[pos++];
+                const block = this.readSubBlocks(bytes, pos);
+                if (label === 0xF9) {
+                    control = this.parseGraphicControl(block.data);
+                }
+                pos = block.end;
+            } else if (blockType === 0x2C) {
+                const image = this.readImage(bytes, pos, globalPalette);
+                pos = image.end;
+
+                const previous = control.disposal === this.DISPOSAL_RESTORE_PREVIOUS ? canvas.slice() : null;
+                this.drawImage(canvas, width, height, image, control.transparentIndex);
+                frames.push({ data: canvas.slice(), delay: control.delay });
+                this.dispose(canvas, width, height, image, control.disposal, previous);
+
+                control = this.createGraphicControl();
+            } else {
+                throw new Error('Corrupt GIF file');
+            }
+        }
+
+        if (frames.length === 0) {
+            throw new Error('GIF contains no frames');
+        }
+
+        return { width, height, frames };
+    }
+
+    /**
+     * Create the graphic control defaults used when a frame has none
+     * @returns {Object} Graphic control settings
+     */
+    createGraphicControl() {
+        return { disposal: 0, delay: this.DEFAULT_DELAY, transparentIndex: -1 };
+    }
+
+    /**
+     * Parse a graphic control extension
+     * @param {Uint8Array} data - Extension data
+     * @returns {Object} Graphic control settings
+     */
+    parseGraphicControl(data) {
+        const packed = data[0];
+        const delay = (data[1] | (data[2] << 8)) * 10;
+
+        return {
+            disposal: (packed >> 2) & 0x07,
+            delay: delay < this.MIN_DELAY ? this.DEFAULT_DELAY : delay,
+            transparentIndex: packed & 0x01 ? data[3] : -1
+        };
+    }
+
+    /**
+     * Concatenate a chain of data sub-blocks
+     * @param {Uint8Array} bytes - File contents
+     * @param {number} pos - Offset of the first sub-block
+     * @returns {Object} { data, end }
+     */
+    readSubBlocks(bytes, pos) {
+        const chunks = [];
+        let length = 0;
+
+        while (pos < bytes.length && bytes[pos] !== 0) {
+            const size = bytes[pos];
+            chunks.push(bytes.subarray(pos + 1, pos + 1 + size));
+            length += size;
+            pos += size + 1;
+        }
+
+        const data = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        return { data, end: pos + 1 };
+    }
+
+    /**
+     * Read an image descriptor and its compressed pixels
+     * @param {Uint8Array} bytes - File contents
+     * @param {number} pos - Offset just after the image separator
+     * @param {Uint8Array|null} globalPalette - Global color table
+     * @returns {Object} { left, top, width, height, palette, indices, end }
+     */
+    readImage(bytes, pos, globalPalette) {
+        const left = bytes[pos] | (bytes[pos + 1] << 8);
+        const top = bytes[pos + 2] | (bytes[pos + 3] << 8);
+        const width = bytes[pos + 4] | (bytes[pos + 5] << 8);
+        const height = bytes[pos + 6] | (bytes[pos + 7] << 8);
+        const flags = bytes[pos + 8];
+        pos += 9;
+
+        let palette = globalPalette;
+        if (flags & 0x80) {
+            const size = 3 << ((flags & 0x07) + 1);
+            palette = bytes.subarray(pos, pos + size);
+            pos += size;
+        }
+
+        if (!palette) {
+            throw new Error('GIF frame has no color table');
+        }
+
+        const minCodeSize = bytes[pos++];
+        const block = this.readSubBlocks(bytes, pos);
+        let indices = this.decompress(minCodeSize, block.data, width * height);
+
+        if (flags & 0x40) {
+            indices = this.deinterlace(indices, width, height);
+        }
+
+        return { left, top, width, height, palette, indices, end: block.end };
+    }
+
+    /**
+     * Decompress LZW-coded color indices
+     * @param {number} minCodeSize - Minimum code size from the image data
+     * @param {Uint8Array} data - Compressed data
+     * @param {number} pixelCount - Number of pixels in the frame
+     * @returns {Uint8Array} Color indices
+     */
+    decompress(minCodeSize, data, pixelCount) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = new Uint8Array(pixelCount);
+        const prefix = new Uint16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const stack = new Uint8Array(4097);
+
+        for (let code = 0; code < clearCode; code++) {
+            suffix[code] = code;
+        }
+
+        let codeSize = minCodeSize + 1;
+        let codeMask = (1 << codeSize) - 1;
+        let available = clearCode + 2;
+        let oldCode = -1;
+        let first = 0;
+        let datum = 0;
+        let bits = 0;
+        let pos = 0;
+        let out = 0;
+        let top = 0;
+
+        while (out < pixelCount) {
+            if (top === 0) {
+                if (bits < codeSize) {
+                    if (pos >= data.length) break;
+                    datum |= data[pos++] << bits;
+                    bits += 8;
+                    continue;
+                }
+
+                let code = datum & codeMask;
+                datum >>= codeSize;
+                bits -= codeSize;
+
+                if (code === clearCode) {
+                    codeSize = minCodeSize + 1;
+                    codeMask = (1 << codeSize) - 1;
+                    available = clearCode + 2;
+                    oldCode = -1;
+                    continue;
+                }
+
+                if (code === endCode) break;
+
+                if (oldCode === -1) {
+                    output[out++] = suffix[code];
+                    oldCode = code;
+                    first = code;
+                    continue;
+                }
+
+                const inCode = code;
+                if (code >= available) {
+                    stack[top++] = first;
+                    code = oldCode;
+                }
+
+                while (code > endCode) {
+                    stack[top++] = suffix[code];
+                    code = prefix[code];
+                }
+
+                first = suffix[code];
+                stack[top++] = first;
+
+                if (available < 4096) {
+                    prefix[available] = oldCode;
+                    suffix[available] = first;
+                    available++;
+                    if ((available & codeMask) === 0 && available < 4096) {
+                        codeSize++;
+                        codeMask += available;
+                    }
+                }
+
+                oldCode = inCode;
+            }
+
+            output[out++] = stack[--top];
+        }
+
+        return output;
+    }
+
+    /**
+     * Reorder interlaced rows into top-to-bottom order
+     * @param {Uint8Array} indices - Interlaced color indices
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @returns {Uint8Array} Deinterlaced indices
+     */
+    deinterlace(indices, width, height) {
+        const output = new Uint8Array(indices.length);
+        const passes = [[0, 8], [4, 8], [2, 4], [1, 2]];
+        let source = 0;
+
+        for (const [start, step] of passes) {
+            for (let y = start; y < height; y += step) {
+                output.set(indices.subarray(source * width, (source + 1) * width), y * width);
+                source++;
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Draw a decoded frame onto the logical screen
+     * @param {Uint8ClampedArray} canvas - Logical screen RGBA
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @param {Object} image - Decoded image from readImage
+     * @param {number} transparentIndex - Transparent color index or -1
+     */
+    drawImage(canvas, width, height, image, transparentIndex) {
+        const { palette, indices } = image;
+
+        for (let y = 0; y < image.height; y++) {
+            const screenY = image.top + y;
+            if (screenY >= height) break;
+
+            for (let x = 0; x < image.width; x++) {
+                const screenX = image.left + x;
+                if (screenX >= width) break;
+
+                const index = indices[y * image.width + x];
+                if (index === transparentIndex) continue;
+
+                const p = index * 3;
+                const c = (screenY * width + screenX) * 4;
+                canvas[c] = palette[p];
+                canvas[c + 1] = palette[p + 1];
+                canvas[c + 2] = palette[p + 2];
+                canvas[c + 3] = 255;
+            }
+        }
+    }
+
+    /**
+     * Apply a frame's disposal method before the next frame is drawn
+     * @param {Uint8ClampedArray} canvas - Logical screen RGBA
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @param {Object} image - Frame that was just drawn
+     * @param {number} disposal - Disposal method
+     * @param {Uint8ClampedArray|null} previous - Screen before the frame was drawn
+     */
+    dispose(canvas, width, height, image, disposal, previous) {
+        if (disposal === this.DISPOSAL_RESTORE_PREVIOUS && previous) {
+            canvas.set(previous);
+        } else if (disposal === this.DISPOSAL_RESTORE_BACKGROUND) {
+            // Like browsers, restore to transparent rather than the background color
+            const right = Math.min(width, image.left + image.width);
+            const bottom = Math.min(height, image.top + image.height);
+            for (let y = image.top; y < bottom; y++) {
+                canvas.fill(0, (y * width + image.left) * 4, (y * width + right) * 4);
+            }
+        }
+    }
+}
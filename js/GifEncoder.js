@@ -0,0 +1,278 @@
+/**
+ * GifEncoder - Encodes RGBA frames into a looping animated GIF
+ * All frames share one median-cut palette so colors do not flicker between frames
+ */
+export class GifEncoder {
+    /**
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {Uint8Array} palette - Palette RGB triples (up to 256 colors), see createPalette
+     */
+    constructor(width, height, palette) {
+        this.width = width;
+        this.height = height;
+        this.palette = palette;
+        this.colorCount = palette.length / 3;
+        this.lookup = new Map(); // 24-bit color -> palette index
+        this.chunks = [];
+
+        this.writeHeader();
+    }
+
+    /**
+     * Build a palette from sample colors with median cut
+     * @param {Uint8Array|number[]} samples - RGB triples
+     * @param {number} [maxColors=256] - Palette size limit
+     * @returns {Uint8Array} Palette RGB triples
+     */
+    static createPalette(samples, maxColors = 256) {
+        const counts = new Map();
+        for (let i = 0; i < samples.length; i += 3) {
+            const key = (samples[i] << 16) | (samples[i + 1] << 8) | samples[i + 2];
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+
+        const colors = [...counts].map(([key, count]) => ({
+            rgb: [key >> 16, (key >> 8) & 0xFF, key & 0xFF],
+            count
+        }));
+        const boxes = [colors];
+
+        while (boxes.length < maxColors) {
+            let target = -1;
+            let targetChannel = 0;
+            let targetRange = 0;
+
+            boxes.forEach((box, index) => {
+                if (box.length < 2) return;
+                for (let channel = 0; channel < 3; channel++) {
+                    let min = 255;
+                    let max = 0;
+                    for (const color of box) {
+                        min = Math.min(min, color.rgb[channel]);
+                        max = Math.max(max, color.rgb[channel]);
+                    }
+                    if (max - min > targetRange) {
+                        target = index;
+                        targetChannel = channel;
+                        targetRange = max - min;
+                    }
+                }
+            });
+
+            if (target === -1) break;
+
+            const box = boxes[target].sort((a, b) => a.rgb[targetChannel] - b.rgb[targetChannel]);
+            const half = box.reduce((total, color) => total + color.count, 0) / 2;
+            let split = 1;
+            for (let seen = box[0].count; split < box.length - 1 && seen < half; split++) {
+                seen += box[split].count;
+            }
+
+            boxes.splice(target, 1, box.slice(0, split), box.slice(split));
+        }
+
+        const palette = new Uint8Array(Math.max(2, boxes.length) * 3);
+        boxes.forEach((box, index) => {
+            const total = box.reduce((sum, color) => sum + color.count, 0);
+            for (let channel = 0; channel < 3; channel++) {
+                const sum = box.reduce((acc, color) => acc + color.rgb[channel] * color.count, 0);
+                palette[index * 3 + channel] = Math.round(sum / total);
+            }
+        });
+
+        return palette;
+    }
+
+    /**
+     * Append a frame
+     * @param {Uint8ClampedArray} data - RGBA pixels of the full frame
+     * @param {number} delay - Display time in ms
+     */
+    addFrame(data, delay) {
+        const centiseconds = Math.max(2, Math.round(delay / 10));
+
+        // Graphic control extension: no disposal, no transparency
+        this.writeBytes([0x21, 0xF9, 0x04, 0x04, centiseconds & 0xFF, centiseconds >> 8, 0x00, 0x00]);
+
+        // Image descriptor covering the whole screen, using the global color table
+        this.writeBytes([0x2C, 0, 0, 0, 0]);
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        this.writeBytes([0x00, 8]);
+
+        this.writeSubBlocks(this.compress(this.mapPixels(data), 8));
+    }
+
+    /**
+     * Finish the file
+     * @returns {Blob} GIF file
+     */
+    finish() {
+        this.writeBytes([0x3B]);
+        return new Blob(this.chunks, { type: 'image/gif' });
+    }
+
+    /**
+     * Write the header, global color table and looping extension
+     */
+    writeHeader() {
+        const table = new Uint8Array(768);
+        table.set(this.palette.subarray(0, 768));
+
+        this.writeBytes([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // GIF89a
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        this.writeBytes([0xF7, 0x00, 0x00]); // 256-entry global table
+        this.chunks.push(table);
+
+        // NETSCAPE2.0 application extension: loop forever
+        this.writeBytes([0x21, 0xFF, 0x0B]);
+        this.writeBytes([...'NETSCAPE2.0'].map(char => char.charCodeAt(0)));
+        this.writeBytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+    }
+
+    /**
+     * Map RGBA pixels to palette indices
+     * @param {Uint8ClampedArray} data - RGBA pixels
+     * @returns {Uint8Array} Palette indices
+     */
+    mapPixels(data) {
+        const indices = new Uint8Array(data.length / 4);
+
+        for (let i = 0; i < indices.length; i++) {
+            const p = i * 4;
+            const key = (data[p] << 16) | (data[p + 1] << 8) | data[p + 2];
+            let index = this.lookup.get(key);
+
+            if (index === undefined) {
+                index = this.findNearest(data[p], data[p + 1], data[p + 2]);
+                this.lookup.set(key, index);
+            }
+            indices[i] = index;
+        }
+
+        return indices;
+    }
+
+    /**
+     * Find the closest palette entry
+     * @param {number} r - Red
+     * @param {number} g - Green
+     * @param {number} b - Blue
+     * @returns {number} Palette index
+     */
+    findNearest(r, g, b) {
+        let best = 0;
+        let bestDistance = Infinity;
+
+        for (let i = 0; i < this.colorCount; i++) {
+            const dr = r - this.palette[i * 3];
+            const dg = g - this.palette[i * 3 + 1];
+            const db = b - this.palette[i * 3 + 2];
+            const distance = dr * dr + dg * dg + db * db;
+
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * LZW-compress palette indices
+     * @param {Uint8Array} indices - Palette indices
+     * @param {number} minCodeSize - Minimum code size
+     * @returns {Uint8Array} Compressed data
+     */
+    compress(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const table = new Map();
+        const output = [];
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let buffer = 0;
+        let bits = 0;
+
+        const write = (code) => {
+            buffer |= code << bits;
+            bits += codeSize;
+            while (bits >= 8) {
+                output.push(buffer & 0xFF);
+                buffer >>= 8;
+                bits -= 8;
+            }
+        };
+
+        write(clearCode);
+        let prefix = indices[0];
+
+        for (let i = 1; i < indices.length; i++) {
+            const key = (prefix << 8) | indices[i];
+            const code = table.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            write(prefix);
+
+            if (nextCode === 4096) {
+                write(clearCode);
+                table.clear();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+
+            prefix = indices[i];
+        }
+
+        write(prefix);
+        write(endCode);
+        if (bits > 0) output.push(buffer & 0xFF);
+
+        return Uint8Array.from(output);
+    }
+
+    /**
+     * Write data as 255-byte sub-blocks followed by a terminator
+     * @param {Uint8Array} data - Block data
+     */
+    writeSubBlocks(data) {
+        const blocks = new Uint8Array(data.length + Math.ceil(data.length / 255) + 1);
+        let offset = 0;
+
+        for (let i = 0; i < data.length; i += 255) {
+            const chunk = data.subarray(i, i + 255);
+            blocks[offset++] = chunk.length;
+            blocks.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        this.chunks.push(blocks);
+    }
+
+    /**
+     * Write raw bytes
+     * @param {number[]} bytes - Bytes
+     */
+    writeBytes(bytes) {
+        this.chunks.push(Uint8Array.from(bytes));
+    }
+
+    /**
+     * Write a little-endian 16-bit value
+     * @param {number} value - Value
+     */
+    writeShort(value) {
+        this.writeBytes([value & 0xFF, (value >> 8) & 0xFF]);
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * GlyphCalibrator - Measures glyph ink coverage to order and space a ramp
+ * Renders each character to an offscreen canvas in the export font
+ */
+export class GlyphCalibrator {
+    /**
+     * @param {string} fontFamily - Font used for rendering and export
+     * @param {number} fontSize - Font size used for measurement
+     * @param {Function|null} [createCanvas] - (width, height) => canvas, for environments without
+     *     OffscreenCanvas or a document, such as Node with a canvas package
+     */
+    constructor(fontFamily = 'Courier New, monospace', fontSize = 48, createCanvas = null) {
+        this.fontFamily = fontFamily;
+        this.fontSize = fontSize;
+        this.createCanvas = createCanvas;
+        this.coverageCache = new Map();
+        this.canvas = null;
+        this.ctx = null;
+    }
+
+    /**
+     * Calibrate a ramp by measured density
+     * @param {string[]} chars - Ramp characters
+     * @returns {Object} Ramp with chars sorted light to dark and levels in 0-1
+     */
+    calibrate(chars) {
+        const measured = chars
+            .map(char => ({ char, coverage: this.measureCoverage(char) }))
+            // On equal coverage a blank sorts first so it stays the lightest character
+            .sort((a, b) => a.coverage - b.coverage || this.isBlank(b.char) - this.isBlank(a.char));
+
+        const min = measured[0].coverage;
+        const range = measured[measured.length - 1].coverage - min;
+
+        return {
+            chars: measured.map(entry => entry.char),
+            // Space characters by real density; fall back to even spacing when flat
+            levels: measured.map((entry, index) => range > 0
+                ? (entry.coverage - min) / range
+                : index / Math.max(1, measured.length - 1))
+        };
+    }
+
+    /**
+     * Check whether a character draws no ink by definition
+     * @param {string} char - Character
+     * @returns {boolean} True for whitespace
+     */
+    isBlank(char) {
+        return char.trim() === '';
+    }
+
+    /**
+     * Measure the character cell aspect (advance width / line height) of the font
+     * @returns {number} Cell aspect ratio
+     */
+    measureCellAspect() {
+        const ctx = this.getContext();
+        return ctx.measureText('M').width / this.fontSize;
+    }
+
+    /**
+     * Measure the fraction of a character cell covered by ink
+     * @param {string} char - Character to measure
+     * @returns {number} Coverage (0-1)
+     */
+    measureCoverage(char) {
+        if (this.coverageCache.has(char)) {
+            return this.coverageCache.get(char);
+        }
+
+        const ctx = this.getContext();
+        const metrics = ctx.measureText('M');
+        const cellWidth = Math.ceil(metrics.width);
+
+        // Measure the whole line box so descenders such as _ g j p q y count;
+        // font box metrics are missing in older browsers, so fall back to typical proportions
+        const ascent = Math.ceil(metrics.fontBoundingBoxAscent || this.fontSize * 0.8);
+        const descent = Math.ceil(metrics.fontBoundingBoxDescent || this.fontSize * 0.25);
+        const cellHeight = Math.min(this.canvas.height, ascent + descent);
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.fillText(char, 0, ascent);
+
+        const { data } = ctx.getImageData(0, 0, cellWidth, cellHeight);
+        let ink = 0;
+        for (let i = 3; i < data.length; i += 4) {
+            ink += data[i];
+        }
+
+        const coverage = ink / (255 * cellWidth * cellHeight);
+        this.coverageCache.set(char, coverage);
+
+        return coverage;
+    }
+
+    /**
+     * Get the measurement context, creating the offscreen canvas if needed
+     * @returns {CanvasRenderingContext2D} Canvas context
+     */
+    getContext() {
+        if (!this.ctx) {
+            const size = this.fontSize * 2;
+            if (this.createCanvas) {
+                this.canvas = this.createCanvas(size, size);
+            } else {
+                this.canvas = typeof OffscreenCanvas !== 'undefined'
+                    ? new OffscreenCanvas(size, size)
+                    : Object.assign(document.createElement('canvas'), { width: size, height: size });
+            }
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        // Font is re-applied as it may not have been loaded on first use
+        this.ctx.font = `${this.fontSize}px ${this.fontFamily}`;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'alphabetic';
+        this.ctx.fillStyle = '#000000';
+
+        return this.ctx;
+    }
+}
@@ -0,0 +1,351 @@
+/**
+ * GridEditor - Paint, erase, pick, fill and type on an ASCIIGrid with undo/redo
+ * Edits the grid in place so every export sees them; knows nothing about the DOM
+ */
+export class GridEditor {
+    constructor() {
+        this.grid = null;
+        this.tool = 'paint';
+        this.brush = { char: '#', r: 0, g: 255, b: 0 };
+        this.undoStack = [];
+        this.redoStack = [];
+        this.change = null;
+        this.lastCell = null;
+        this.anchor = null;
+        this.cursor = null;
+        this.cursorStartCol = 0;
+
+        this.MAX_UNDO = 200;
+    }
+
+    /**
+     * Edit a different grid; history from the previous grid is dropped
+     * @param {ASCIIGrid|null} grid - Grid to edit
+     */
+    setGrid(grid) {
+        if (grid === this.grid) return;
+
+        this.grid = grid;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.change = null;
+        this.anchor = null;
+        this.cursor = null;
+    }
+
+    /**
+     * Choose the active tool
+     * @param {string} tool - 'paint', 'erase', 'eyedropper', 'fill' or 'text'
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.anchor = null;
+        if (tool !== 'text') {
+            this.cursor = null;
+        }
+    }
+
+    /**
+     * Set the character and color used by paint, fill and text
+     * @param {Object} brush - { char, r, g, b }
+     */
+    setBrush(brush) {
+        this.brush = brush;
+    }
+
+    /**
+     * Apply the active tool to a pointer action
+     * @param {string} phase - 'down', 'move' or 'up'
+     * @param {number} col - Column under the pointer
+     * @param {number} row - Row under the pointer
+     * @returns {Object} { changed: cell indices, picked: brush, selection: { col, row, cols, rows }, cursor }
+     */
+    handlePointer(phase, col, row) {
+        const result = { changed: [] };
+        if (!this.grid) return result;
+
+        switch (this.tool) {
+            case 'paint':
+            case 'erase': {
+                if (phase === 'down') {
+                    this.beginChange();
+                    this.lastCell = null;
+                }
+                if (!this.change) break;
+
+                // Fill the gap between pointer events so fast strokes stay continuous
+                const from = this.lastCell || { col, row };
+                result.changed = this.getLine(from, { col, row }).map(cell => this.tool === 'paint'
+                    ? this.writeCell(cell.col, cell.row, this.getBrushCell())
+                    : this.writeCell(cell.col, cell.row, this.getEraseCell()));
+                this.lastCell = { col, row };
+
+                if (phase === 'up') {
+                    this.commitChange();
+                }
+                break;
+            }
+            case 'eyedropper':
+                if (phase === 'down') {
+                    const cell = this.grid.getCell(col, row);
+                    this.brush = { char: cell.char, r: cell.r, g: cell.g, b: cell.b };
+                    result.picked = { ...this.brush };
+                }
+                break;
+            case 'fill':
+                if (phase === 'down') {
+                    this.anchor = { col, row };
+                }
+                if (!this.anchor) break;
+
+                result.selection = this.getRect(this.anchor, { col, row });
+                if (phase === 'up') {
+                    this.beginChange();
+                    result.changed = this.fillRect(result.selection);
+                    this.commitChange();
+                    this.anchor = null;
+                    result.selection = null;
+                }
+                break;
+            case 'text':
+                if (phase === 'down') {
+                    this.cursor = { col, row };
+                    this.cursorStartCol = col;
+                }
+                break;
+        }
+
+        result.cursor = this.cursor;
+        return result;
+    }
+
+    /**
+     * Handle a key press while typing text at the cursor
+     * @param {string} key - KeyboardEvent.key
+     * @returns {Object|null} { changed, cursor }, or null when the key is not used
+     */
+    handleKey(key) {
+        if (!this.grid || this.tool !== 'text' || !this.cursor) return null;
+
+        const { cols, rows } = this.grid;
+        const cursor = this.cursor;
+        let changed = [];
+
+        if ([...key].length === 1) {
+            this.beginChange();
+            changed = [this.writeCell(cursor.col, cursor.row, { ...this.getBrushCell(), char: key })];
+            this.commitChange();
+            cursor.col = Math.min(cols - 1, cursor.col + 1);
+        } else if (key === 'Backspace') {
+            cursor.col = Math.max(0, cursor.col - 1);
+            this.beginChange();
+            changed = [this.writeCell(cursor.col, cursor.row, this.getEraseCell())];
+            this.commitChange();
+        } else if (key === 'Enter') {
+            cursor.col = this.cursorStartCol;
+            cursor.row = Math.min(rows - 1, cursor.row + 1);
+        } else if (key === 'ArrowLeft') {
+            cursor.col = Math.max(0, cursor.col - 1);
+        } else if (key === 'ArrowRight') {
+            cursor.col = Math.min(cols - 1, cursor.col + 1);
+        } else if (key === 'ArrowUp') {
+            cursor.row = Math.max(0, cursor.row - 1);
+        } else if (key === 'ArrowDown') {
+            cursor.row = Math.min(rows - 1, cursor.row + 1);
+        } else {
+            return null;
+        }
+
+        return { changed, cursor };
+    }
+
+    /**
+     * Revert the last edit
+     * @returns {number[]} Changed cell indices
+     */
+    undo() {
+        return this.replay(this.undoStack, this.redoStack, 'before');
+    }
+
+    /**
+     * Re-apply the last undone edit
+     * @returns {number[]} Changed cell indices
+     */
+    redo() {
+        return this.replay(this.redoStack, this.undoStack, 'after');
+    }
+
+    /**
+     * Check whether undo is available
+     * @returns {boolean} Undo availability
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether redo is available
+     * @returns {boolean} Redo availability
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Move an edit from one stack to the other, restoring one side of it
+     * @param {Object[]} source - Stack to take the edit from
+     * @param {Object[]} target - Stack to put it on
+     * @param {string} side - 'before' or 'after'
+     * @returns {number[]} Changed cell indices
+     */
+    replay(source, target, side) {
+        const change = source.pop();
+        if (!change) return [];
+
+        for (const [index, states] of change) {
+            this.restoreCell(index, states[side]);
+        }
+        target.push(change);
+
+        return [...change.keys()];
+    }
+
+    /**
+     * Start recording an undoable edit
+     */
+    beginChange() {
+        this.change = new Map(); // cell index -> { before, after }
+    }
+
+    /**
+     * Finish the edit and make it undoable
+     */
+    commitChange() {
+        const change = this.change;
+        this.change = null;
+        if (!change || change.size === 0) return;
+
+        for (const [index, states] of change) {
+            states.after = this.snapshotCell(index);
+        }
+
+        this.undoStack.push(change);
+        if (this.undoStack.length > this.MAX_UNDO) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Write a cell, remembering its previous state for undo
+     * @param {number} col - Column
+     * @param {number} row - Row
+     * @param {Object} cell - Cell values for ASCIIGrid.setCell
+     * @returns {number} Cell index
+     */
+    writeCell(col, row, cell) {
+        const index = this.grid.index(col, row);
+
+        if (this.change && !this.change.has(index)) {
+            this.change.set(index, { before: this.snapshotCell(index) });
+        }
+        this.grid.setCell(col, row, cell);
+
+        return index;
+    }
+
+    /**
+     * Fill a rectangle with the brush
+     * @param {Object} rect - { col, row, cols, rows }
+     * @returns {number[]} Changed cell indices
+     */
+    fillRect(rect) {
+        const changed = [];
+
+        for (let row = rect.row; row < rect.row + rect.rows; row++) {
+            for (let col = rect.col; col < rect.col + rect.cols; col++) {
+                changed.push(this.writeCell(col, row, this.getBrushCell()));
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Copy the raw values of a cell
+     * @param {number} index - Cell index
+     * @returns {Object} { code, color, background }
+     */
+    snapshotCell(index) {
+        const c = index * 4;
+        return {
+            code: this.grid.codes[index],
+            color: this.grid.colors.slice(c, c + 4),
+            background: this.grid.backgrounds.slice(c, c + 4)
+        };
+    }
+
+    /**
+     * Put back a cell snapshot
+     * @param {number} index - Cell index
+     * @param {Object} snapshot - Snapshot from snapshotCell
+     */
+    restoreCell(index, snapshot) {
+        this.grid.codes[index] = snapshot.code;
+        this.grid.colors.set(snapshot.color, index * 4);
+        this.grid.backgrounds.set(snapshot.background, index * 4);
+    }
+
+    /**
+     * Cell values for the current brush
+     * @returns {Object} Opaque colored character without background
+     */
+    getBrushCell() {
+        const { char, r, g, b } = this.brush;
+        return { char, r, g, b, a: 255, background: null };
+    }
+
+    /**
+     * Cell values for an erased cell
+     * @returns {Object} Transparent space
+     */
+    getEraseCell() {
+        return { char: ' ', a: 0, background: null };
+    }
+
+    /**
+     * Get the cells on a straight line between two cells
+     * @param {Object} from - Start { col, row }
+     * @param {Object} to - End { col, row }
+     * @returns {Object[]} Cells { col, row }, from start to end
+     */
+    getLine(from, to) {
+        const steps = Math.max(Math.abs(to.col - from.col), Math.abs(to.row - from.row));
+        const cells = [];
+
+        for (let step = 0; step <= steps; step++) {
+            const t = steps === 0 ? 0 : step / steps;
+            cells.push({
+                col: Math.round(from.col + (to.col - from.col) * t),
+                row: Math.round(from.row + (to.row - from.row) * t)
+            });
+        }
+
+        return cells;
+    }
+
+    /**
+     * Normalize two corner cells into a rectangle
+     * @param {Object} a - Corner { col, row }
+     * @param {Object} b - Opposite corner { col, row }
+     * @returns {Object} { col, row, cols, rows }
+     */
+    getRect(a, b) {
+        return {
+            col: Math.min(a.col, b.col),
+            row: Math.min(a.row, b.row),
+            cols: Math.abs(a.col - b.col) + 1,
+            rows: Math.abs(a.row - b.row) + 1
+        };
+    }
+}
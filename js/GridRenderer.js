@@ -0,0 +1,480 @@
+/**
+ * GridRenderer - Renders an ASCIIGrid into output formats
+ * Follows Open/Closed Principle: new formats read the grid, never markup
+ */
+import { ColorPalettes } from './ColorPalettes.js';
+
+export class GridRenderer {
+    constructor() {
+        this.palettes = new ColorPalettes();
+        
+        // Cells below this alpha are treated as fully transparent
+        this.TRANSPARENT_ALPHA = 25;
+
+        // Block glyphs drawn as exact rectangles on canvas (bit mask TL = 1, TR = 2, BL = 4, BR = 8)
+        this.BLOCK_MASKS = new Map(
+            Array.from(' ▘▝▀▖▌▞▛▗▚▐▜▄▙▟█').map((char, mask) => [char, mask])
+        );
+
+        // Braille dot offsets (column, row) in bit order
+        this.BRAILLE_DOTS = [[0, 0], [0, 1], [0, 2], [1, 0], [1, 1], [1, 2], [0, 3], [1, 3]];
+    }
+
+    /**
+     * Render grid as preview HTML (one span per cell)
+     * @param {ASCIIGrid} grid - Cell grid
+     * @returns {string} HTML markup
+     */
+    toHTML(grid) {
+        let html = '';
+
+        for (let row = 0; row < grid.rows; row++) {
+            let rowHTML = '';
+
+            for (let col = 0; col < grid.cols; col++) {
+                rowHTML += this.cellToHTML(grid, col, row);
+            }
+
+            html += `<div>${rowHTML}</div>`;
+        }
+
+        return html;
+    }
+
+    /**
+     * Render one cell as a preview span
+     * @param {ASCIIGrid} grid - Cell grid
+     * @param {number} col - Column
+     * @param {number} row - Row
+     * @returns {string} HTML markup
+     */
+    cellToHTML(grid, col, row) {
+        const cell = grid.getCell(col, row);
+
+        if (cell.a < this.TRANSPARENT_ALPHA) {
+            return '<span style="color:transparent">&nbsp;</span>';
+        }
+
+        let style = `color:${this.toCSSColor(cell)}`;
+        if (cell.background) {
+            style += `;background-color:${this.toCSSColor(cell.background)}`;
+        }
+        return `<span style="${style}">${this.escapeHTML(cell.char)}</span>`;
+    }
+
+    /**
+     * Render grid as plain text, one line per row
+     * @param {ASCIIGrid} grid - Cell grid
+     * @returns {string} Plain text
+     */
+    toPlainText(grid) {
+        const lines = [];
+
+        for (let row = 0; row < grid.rows; row++) {
+            let line = '';
+            for (let col = 0; col < grid.cols; col++) {
+                line += grid.getChar(col, row);
+            }
+            lines.push(line);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Render grid as text with ANSI SGR color escapes
+     * Color codes are only emitted when they change, and every line ends with a reset
+     * @param {ASCIIGrid} grid - Cell grid
+     * @param {string} depth - 'truecolor', '256' or '16'
+     * @returns {string} ANSI text
+     */
+    toANSI(grid, depth = 'truecolor') {
+        const ESC = '\x1b[';
+        const lines = [];
+
+        for (let row = 0; row < grid.rows; row++) {
+            let line = '';
+            let currentFg = '39';
+            let currentBg = '49';
+
+            for (let col = 0; col < grid.cols; col++) {
+                const cell = grid.getCell(col, row);
+                const visible = cell.a >= this.TRANSPARENT_ALPHA;
+                const background = cell.background ? this.toANSIColor(cell.background, depth, true) : '49';
+                const char = visible ? cell.char : ' ';
+
+                // A plain space shows no ink, so keep the current foreground to extend the run
+                const foreground = visible && char !== ' ' ? this.toANSIColor(cell, depth, false) : currentFg;
+
+                const codes = [];
+                if (foreground !== currentFg) codes.push(foreground);
+                if (background !== currentBg) codes.push(background);
+                if (codes.length > 0) {
+                    line += `${ESC}${codes.join(';')}m`;
+                    currentFg = foreground;
+                    currentBg = background;
+                }
+
+                line += char;
+            }
+
+            lines.push(`${line}${ESC}0m`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Get the SGR parameters for a color at a given depth
+     * @param {Object} color - Color with r, g, b
+     * @param {string} depth - 'truecolor', '256' or '16'
+     * @param {boolean} background - Background instead of foreground
+     * @returns {string} SGR parameters
+     */
+    toANSIColor(color, depth, background) {
+        const { r, g, b } = color;
+
+        if (depth === '256') {
+            const index = this.palettes.findNearest(this.palettes.XTERM256, r, g, b);
+            return `${background ? 48 : 38};5;${index}`;
+        }
+
+        if (depth === '16') {
+            const index = this.palettes.findNearest(this.palettes.ANSI16, r, g, b);
+            const base = background ? (index < 8 ? 40 : 100) : (index < 8 ? 30 : 90);
+            return String(base + (index % 8));
+        }
+
+        return `${background ? 48 : 38};2;${r};${g};${b}`;
+    }
+
+    /**
+     * Render grid as a scalable SVG document
+     * Each row is a <text> element with one <tspan> per same-color run
+     * @param {ASCIIGrid} grid - Cell grid
+     * @param {Object} options - SVG options
+     * @param {number} [options.fontSize=12] - Nominal font size
+     * @param {string} [options.fontFamily] - CSS font-family list
+     * @param {string} [options.background] - Background color, omitted when falsy
+     * @param {number} [options.cellAspect=0.6] - Character cell width / height
+     * @returns {string} SVG markup
+     */
+    toSVG(grid, options = {}) {
+        const fontSize = options.fontSize || 12;
+        const fontFamily = options.fontFamily || 'Courier New, monospace';
+        const charWidth = fontSize * 0.6;
+        const lineHeight = charWidth / (options.cellAspect || 0.6);
+        const width = this.formatNumber(grid.cols * charWidth);
+        const height = this.formatNumber(grid.rows * lineHeight);
+
+        const parts = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        ];
+
+        if (options.background) {
+            parts.push(`<rect width="100%" height="100%" fill="${this.escapeHTML(options.background)}"/>`);
+        }
+
+        parts.push(...this.buildSVGBackgrounds(grid, charWidth, lineHeight));
+
+        parts.push(`<g font-family="${this.escapeHTML(fontFamily)}" font-size="${fontSize}" xml:space="preserve">`);
+        for (let row = 0; row < grid.rows; row++) {
+            const runs = this.buildSVGRuns(grid, row, charWidth);
+            if (runs.length === 0) continue;
+
+            // Alphabetic baseline sits about 0.8em below the top of the cell
+            const y = this.formatNumber(row * lineHeight + (lineHeight - fontSize) / 2 + fontSize * 0.8);
+            parts.push(`<text y="${y}">${runs.join('')}</text>`);
+        }
+        parts.push('</g>', '</svg>');
+
+        return parts.join('\n');
+    }
+
+    /**
+     * Build the tspans of one row, merging adjacent cells of the same color
+     * @returns {string[]} tspan markup
+     */
+    buildSVGRuns(grid, row, charWidth) {
+        const runs = [];
+        let run = null;
+
+        const flush = () => {
+            if (run && run.text.trim() !== '') {
+                const length = this.formatNumber(run.count * charWidth);
+                const opacity = run.alpha < 255 ? ` fill-opacity="${this.formatNumber(run.alpha / 255)}"` : '';
+                runs.push(
+                    `<tspan x="${this.formatNumber(run.start * charWidth)}" textLength="${length}" ` +
+                    `lengthAdjust="spacingAndGlyphs" fill="${run.fill}"${opacity}>${this.escapeHTML(run.text)}</tspan>`
+                );
+            }
+            run = null;
+        };
+
+        for (let col = 0; col < grid.cols; col++) {
+            const cell = grid.getCell(col, row);
+
+            if (cell.a < this.TRANSPARENT_ALPHA) {
+                flush();
+                continue;
+            }
+
+            const fill = this.toHexColor(cell);
+            // Spaces carry no ink, so they may join any run
+            if (run && (run.fill === fill && run.alpha === cell.a || cell.char === ' ')) {
+                run.text += cell.char;
+                run.count++;
+                continue;
+            }
+
+            flush();
+            run = { start: col, text: cell.char, count: 1, fill, alpha: cell.a };
+        }
+        flush();
+
+        return runs;
+    }
+
+    /**
+     * Build background rectangles, merging horizontal runs of the same color
+     * @returns {string[]} rect markup
+     */
+    buildSVGBackgrounds(grid, charWidth, lineHeight) {
+        const rects = [];
+
+        for (let row = 0; row < grid.rows; row++) {
+            let start = 0;
+            let current = null;
+
+            for (let col = 0; col <= grid.cols; col++) {
+                const background = col < grid.cols ? grid.getCell(col, row).background : null;
+                const key = background ? `${this.toHexColor(background)}/${background.a}` : null;
+
+                if (key === current) continue;
+
+                if (current) {
+                    const [fill, alpha] = current.split('/');
+                    const opacity = alpha < 255 ? ` fill-opacity="${this.formatNumber(alpha / 255)}"` : '';
+                    rects.push(
+                        `<rect x="${this.formatNumber(start * charWidth)}" y="${this.formatNumber(row * lineHeight)}" ` +
+                        `width="${this.formatNumber((col - start) * charWidth)}" height="${this.formatNumber(lineHeight)}" fill="${fill}"${opacity}/>`
+                    );
+                }
+
+                start = col;
+                current = key;
+            }
+        }
+
+        return rects;
+    }
+
+    /**
+     * Format a color as a #rrggbb hex string
+     * @param {Object} color - Color with r, g, b
+     * @returns {string} Hex color
+     */
+    toHexColor(color) {
+        return '#' + [color.r, color.g, color.b].map(value => value.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Format a number for markup with at most two decimals
+     */
+    formatNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Render grid as a standalone HTML page with embedded CSS
+     * Same-color runs share one span and every color gets a short class name
+     * @param {ASCIIGrid} grid - Cell grid
+     * @param {Object} options - Page options
+     * @param {string} [options.theme='dark'] - 'dark' or 'light' page background
+     * @param {number} [options.fontSize=12] - Font size in pixels
+     * @param {number} [options.cellAspect=0.6] - Character cell width / height
+     * @param {string} [options.title='ASCII Art'] - Page title
+     * @returns {string} HTML document
+     */
+    toStandaloneHTML(grid, options = {}) {
+        const theme = options.theme === 'light'
+            ? { background: '#ffffff', text: '#000000' }
+            : { background: '#000000', text: '#ffffff' };
+        const fontSize = options.fontSize || 12;
+        const lineHeight = this.formatNumber(0.6 / (options.cellAspect || 0.6));
+        const classes = new Map();
+
+        const classFor = (color, prefix) => {
+            const css = color.a < 255 ? this.toCSSColor(color) : this.toHexColor(color);
+            const key = `${prefix}${css}`;
+            if (!classes.has(key)) {
+                classes.set(key, { name: `${prefix}${classes.size.toString(36)}`, css, prefix });
+            }
+            return classes.get(key).name;
+        };
+
+        const rows = [];
+        for (let row = 0; row < grid.rows; row++) {
+            rows.push(this.buildHTMLRuns(grid, row, classFor));
+        }
+
+        const rules = Array.from(classes.values()).map(({ name, css, prefix }) =>
+            prefix === 'b' ? `.${name}{background:${css}}` : `.${name}{color:${css}}`);
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="UTF-8">',
+            `<title>${this.escapeHTML(options.title || 'ASCII Art')}</title>`,
+            '<style>',
+            `body{margin:0;padding:20px;background:${theme.background};color:${theme.text}}`,
+            `pre{margin:0;font:${fontSize}px/${lineHeight} 'Courier New',Courier,monospace}`,
+            ...rules,
+            '</style>',
+            '</head>',
+            '<body>',
+            `<pre>${rows.join('\n')}</pre>`,
+            '</body>',
+            '</html>'
+        ].join('\n');
+    }
+
+    /**
+     * Build the markup of one row for the standalone HTML page
+     * @param {ASCIIGrid} grid - Cell grid
+     * @param {number} row - Row
+     * @param {Function} classFor - (color, prefix) => class name
+     * @returns {string} Row markup
+     */
+    buildHTMLRuns(grid, row, classFor) {
+        let html = '';
+        let run = null;
+
+        const flush = () => {
+            if (!run) return;
+            const text = this.escapeHTML(run.text);
+            html += run.className ? `<span class="${run.className}">${text}</span>` : text;
+            run = null;
+        };
+
+        for (let col = 0; col < grid.cols; col++) {
+            const cell = grid.getCell(col, row);
+            const visible = cell.a >= this.TRANSPARENT_ALPHA;
+            const char = visible ? cell.char : ' ';
+
+            const background = cell.background ? classFor(cell.background, 'b') : '';
+            const names = [];
+            if (visible && char !== ' ') names.push(classFor(cell, 'c'));
+            if (background) names.push(background);
+            const className = names.join(' ');
+
+            // Spaces show no text color, so they extend any run with the same background
+            if (run && (run.className === className || (char === ' ' && run.background === background))) {
+                run.text += char;
+                continue;
+            }
+
+            flush();
+            run = { className, background, text: char };
+        }
+        flush();
+
+        return html;
+    }
+
+    /**
+     * Draw grid onto a canvas context
+     * @param {CanvasRenderingContext2D} ctx - Canvas context (font already set)
+     * @param {ASCIIGrid} grid - Cell grid
+     * @param {number} charWidth - Character width
+     * @param {number} charHeight - Character height
+     */
+    renderToCanvas(ctx, grid, charWidth, charHeight) {
+        for (let row = 0; row < grid.rows; row++) {
+            for (let col = 0; col < grid.cols; col++) {
+                const cell = grid.getCell(col, row);
+                const x = col * charWidth;
+                const y = row * charHeight;
+
+                if (cell.background) {
+                    ctx.fillStyle = this.toCSSColor(cell.background);
+                    ctx.fillRect(x, y, charWidth, charHeight);
+                }
+
+                // Skip transparent cells and invisible spaces
+                if (cell.a < this.TRANSPARENT_ALPHA || cell.char === ' ') continue;
+
+                ctx.fillStyle = this.toCSSColor(cell);
+                this.drawGlyph(ctx, cell.char, x, y, charWidth, charHeight);
+            }
+        }
+    }
+
+    /**
+     * Draw one glyph; block and Braille glyphs are drawn as shapes so they
+     * tile exactly regardless of the font's coverage of those ranges
+     * @param {CanvasRenderingContext2D} ctx - Canvas context with fillStyle set
+     * @param {string} char - Character
+     * @param {number} x - Cell left
+     * @param {number} y - Cell top
+     * @param {number} width - Cell width
+     * @param {number} height - Cell height
+     */
+    drawGlyph(ctx, char, x, y, width, height) {
+        const code = char.codePointAt(0);
+
+        if (this.BLOCK_MASKS.has(char)) {
+            const mask = this.BLOCK_MASKS.get(char);
+            const halfWidth = width / 2;
+            const halfHeight = height / 2;
+
+            for (let bit = 0; bit < 4; bit++) {
+                if (mask & (1 << bit)) {
+                    ctx.fillRect(x + (bit % 2) * halfWidth, y + Math.floor(bit / 2) * halfHeight, halfWidth, halfHeight);
+                }
+            }
+            return;
+        }
+
+        if (code >= 0x2800 && code <= 0x28FF) {
+            const bits = code - 0x2800;
+            const radius = Math.min(width / 2, height / 4) * 0.35;
+
+            for (let bit = 0; bit < 8; bit++) {
+                if (!(bits & (1 << bit))) continue;
+
+                const [dotCol, dotRow] = this.BRAILLE_DOTS[bit];
+                ctx.beginPath();
+                ctx.arc(x + (dotCol + 0.5) * width / 2, y + (dotRow + 0.5) * height / 4, radius, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            return;
+        }
+
+        ctx.fillText(char, x, y);
+    }
+
+    /**
+     * Format an RGBA color for CSS and canvas
+     * @param {Object} color - Color with r, g, b, a (0-255)
+     * @returns {string} CSS rgba() color
+     */
+    toCSSColor(color) {
+        return `rgba(${color.r},${color.g},${color.b},${color.a / 255})`;
+    }
+
+    /**
+     * Escape a character for safe HTML output
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeHTML(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * GridSizer - Works out the character grid and sampling size for a conversion
+ * Either derives the grid from scale and block size, or derives the sampling
+ * from a target number of columns (and optionally rows)
+ */
+import { SubcellRenderer } from './SubcellRenderer.js';
+
+export class GridSizer {
+    constructor() {
+        this.subcellRenderer = new SubcellRenderer();
+
+        // Source pixels per character column when sizing by target columns:
+        // enough for sub-cell modes, few enough to keep sampling fast
+        this.MIN_SAMPLES_PER_CELL = 4;
+        this.MAX_SAMPLES_PER_CELL = 8;
+    }
+
+    /**
+     * Plan the sampling size and target grid for an image
+     * @param {number} imageWidth - Source image width
+     * @param {number} imageHeight - Source image height
+     * @param {Object} sizing - Sizing settings
+     * @param {string} sizing.mode - 'scale', 'columns' or 'fit'
+     * @param {number} sizing.scale - Resolution scale (scale mode)
+     * @param {number} [sizing.cols] - Target columns (columns and fit modes)
+     * @param {number|null} [sizing.rows] - Target rows (optional in columns mode, required in fit mode)
+     * @param {number} sizing.cellAspect - Character cell width / height
+     * @returns {Object} { width, height, grid } where grid ({ cols, rows }) is null in scale mode
+     */
+    plan(imageWidth, imageHeight, sizing) {
+        if (sizing.mode === 'scale') {
+            return {
+                width: Math.round(imageWidth * sizing.scale),
+                height: Math.round(imageHeight * sizing.scale),
+                grid: null
+            };
+        }
+
+        const grid = this.getTargetGrid(imageWidth, imageHeight, sizing);
+        return { ...this.getSampleSize(imageWidth, imageHeight, grid), grid };
+    }
+
+    /**
+     * Predict the grid a conversion will produce, for display before generating
+     * @param {number} imageWidth - Source image width
+     * @param {number} imageHeight - Source image height
+     * @param {Object} sizing - Sizing settings, see plan; scale mode also needs pixelSize and renderMode
+     * @returns {Object} { cols, rows }
+     */
+    getOutputGrid(imageWidth, imageHeight, sizing) {
+        const { width, height, grid } = this.plan(imageWidth, imageHeight, sizing);
+        if (grid) return grid;
+
+        const layout = this.subcellRenderer.isSubcellMode(sizing.renderMode)
+            ? this.subcellRenderer.getLayout(sizing.renderMode)
+            : null;
+        const { cols, rows } = this.calculateGridSize(
+            width, height, sizing.pixelSize * (layout ? layout.cols : 1), sizing.cellAspect
+        );
+
+        return { cols, rows };
+    }
+
+    /**
+     * Plan a coarser version of a conversion for a quick draft preview
+     * @param {number} imageWidth - Source image width
+     * @param {number} imageHeight - Source image height
+     * @param {Object} sizing - Sizing settings, see getOutputGrid
+     * @param {number} maxCells - Largest draft grid, in cells
+     * @returns {Object|null} Plan like plan(), or null when the full grid is already that small
+     */
+    planDraft(imageWidth, imageHeight, sizing, maxCells) {
+        const full = this.getOutputGrid(imageWidth, imageHeight, sizing);
+        const factor = Math.sqrt(maxCells / (full.cols * full.rows));
+        if (factor >= 1) return null;
+
+        // Same shape with fewer, larger cells
+        if (sizing.mode === 'scale') {
+            return this.plan(imageWidth, imageHeight, { ...sizing, scale: sizing.scale * factor });
+        }
+
+        const grid = {
+            cols: Math.max(1, Math.round(full.cols * factor)),
+            rows: Math.max(1, Math.round(full.rows * factor))
+        };
+        return { ...this.getSampleSize(imageWidth, imageHeight, grid), grid };
+    }
+
+    /**
+     * Calculate grid dimensions and sampling block size
+     * Blocks are taller than wide so each sample covers one character cell
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} pixelSize - Block width in pixels
+     * @param {number} cellAspect - Character cell width / height
+     * @returns {Object} cols, rows, blockWidth and blockHeight
+     */
+    calculateGridSize(width, height, pixelSize, cellAspect) {
+        const blockWidth = pixelSize;
+        const blockHeight = pixelSize / cellAspect;
+
+        return {
+            cols: Math.max(1, Math.floor(width / blockWidth)),
+            rows: Math.max(1, Math.floor(height / blockHeight)),
+            blockWidth,
+            blockHeight
+        };
+    }
+
+    /**
+     * Stretch an exact grid over the sampled image
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} grid - Target grid ({ cols, rows })
+     * @returns {Object} cols, rows, blockWidth and blockHeight
+     */
+    fitGrid(width, height, grid) {
+        return {
+            cols: grid.cols,
+            rows: grid.rows,
+            blockWidth: width / grid.cols,
+            blockHeight: height / grid.rows
+        };
+    }
+
+    /**
+     * Resolve target columns/rows into a grid
+     * Rows left empty follow the image aspect; fit mode shrinks to stay within both limits
+     * @param {number} imageWidth - Source image width
+     * @param {number} imageHeight - Source image height
+     * @param {Object} sizing - Sizing settings, see plan
+     * @returns {Object} { cols, rows }
+     */
+    getTargetGrid(imageWidth, imageHeight, sizing) {
+        // Rows per column that keep the picture undistorted with this cell shape
+        const rowsPerCol = (imageHeight / imageWidth) * sizing.cellAspect;
+        let cols = sizing.cols;
+        let rows = Math.max(1, Math.round(cols * rowsPerCol));
+
+        if (sizing.mode === 'columns' && sizing.rows) {
+            rows = sizing.rows;
+        } else if (sizing.mode === 'fit' && rows > sizing.rows) {
+            rows = sizing.rows;
+            cols = Math.max(1, Math.min(sizing.cols, Math.round(rows / rowsPerCol)));
+        }
+
+        return { cols, rows };
+    }
+
+    /**
+     * Choose how large to resample the image for a target grid
+     * @param {number} imageWidth - Source image width
+     * @param {number} imageHeight - Source image height
+     * @param {Object} grid - Target grid ({ cols, rows })
+     * @returns {Object} { width, height }
+     */
+    getSampleSize(imageWidth, imageHeight, grid) {
+        const width = Math.max(
+            grid.cols * this.MIN_SAMPLES_PER_CELL,
+            Math.min(imageWidth, grid.cols * this.MAX_SAMPLES_PER_CELL)
+        );
+        const height = Math.max(
+            grid.rows * this.MIN_SAMPLES_PER_CELL,
+            Math.round(width * (imageHeight / imageWidth))
+        );
+
+        return { width, height };
+    }
+}
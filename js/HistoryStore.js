@@ -0,0 +1,189 @@
+/**
+ * HistoryStore - Saves past conversions in IndexedDB
+ * Small gallery entries (thumbnail, settings, grid size) are kept apart from the
+ * result grids so listing the history never loads every grid into memory
+ */
+import { ASCIIGrid } from './ASCIIGrid.js';
+
+export class HistoryStore {
+    constructor() {
+        this.DB_NAME = 'ascii-converter';
+        this.DB_VERSION = 1;
+        this.ENTRIES = 'entries';
+        this.RESULTS = 'results';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database, creating its stores on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('This browser does not support IndexedDB.'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.ENTRIES, { keyPath: 'id', autoIncrement: true });
+                    request.result.createObjectStore(this.RESULTS);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a later retry if opening failed
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Save a conversion
+     * @param {Object} entry - Gallery data: { thumbnail, settings, cols, rows, renderMode, frameCount }
+     * @param {Object} asciiResult - Conversion result to restore later
+     * @returns {Promise<number>} Id of the new entry
+     */
+    add(entry, asciiResult) {
+        return this.transaction([this.ENTRIES, this.RESULTS], 'readwrite', (tx, setResult) => {
+            const request = tx.objectStore(this.ENTRIES).add({ ...entry, createdAt: Date.now() });
+            request.onsuccess = () => {
+                tx.objectStore(this.RESULTS).put(this.serializeResult(asciiResult), request.result);
+                setResult(request.result);
+            };
+        });
+    }
+
+    /**
+     * List all gallery entries, newest first
+     * @returns {Promise<Object[]>} Entries with id and createdAt
+     */
+    async list() {
+        const entries = await this.transaction([this.ENTRIES], 'readonly', (tx, setResult) => {
+            const request = tx.objectStore(this.ENTRIES).getAll();
+            request.onsuccess = () => setResult(request.result);
+        });
+
+        return entries.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Load an entry together with its result
+     * @param {number} id - Entry id
+     * @returns {Promise<Object>} { entry, asciiResult }
+     */
+    async get(id) {
+        const { entry, data } = await this.transaction([this.ENTRIES, this.RESULTS], 'readonly', (tx, setResult) => {
+            const loaded = {};
+            const entryRequest = tx.objectStore(this.ENTRIES).get(id);
+            const resultRequest = tx.objectStore(this.RESULTS).get(id);
+            entryRequest.onsuccess = () => {
+                loaded.entry = entryRequest.result;
+            };
+            resultRequest.onsuccess = () => {
+                loaded.data = resultRequest.result;
+            };
+            setResult(loaded);
+        });
+
+        if (!entry || !data) {
+            throw new Error('This history entry no longer exists.');
+        }
+
+        return { entry, asciiResult: this.deserializeResult(data) };
+    }
+
+    /**
+     * Delete an entry and its result
+     * @param {number} id - Entry id
+     * @returns {Promise<void>}
+     */
+    delete(id) {
+        return this.transaction([this.ENTRIES, this.RESULTS], 'readwrite', (tx) => {
+            tx.objectStore(this.ENTRIES).delete(id);
+            tx.objectStore(this.RESULTS).delete(id);
+        });
+    }
+
+    /**
+     * Delete the whole history
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.transaction([this.ENTRIES, this.RESULTS], 'readwrite', (tx) => {
+            tx.objectStore(this.ENTRIES).clear();
+            tx.objectStore(this.RESULTS).clear();
+        });
+    }
+
+    /**
+     * Estimate how much storage this site uses
+     * @returns {Promise<Object|null>} { usage, quota } in bytes, or null when the browser cannot tell
+     */
+    async getUsage() {
+        if (!navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+
+    /**
+     * Run requests in one transaction
+     * @param {string[]} storeNames - Stores to use
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Called with (transaction, setResult) to issue requests
+     * @returns {Promise<*>} Value passed to setResult, once the transaction completes
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('The history could not be updated.'));
+
+            work(tx, (value) => {
+                result = value;
+            });
+        });
+    }
+
+    /**
+     * Strip a result down to plain data for storage
+     * @param {Object} asciiResult - Conversion result
+     * @returns {Object} Storable result
+     */
+    serializeResult(asciiResult) {
+        const { grid, frames, frameIndex, ...details } = asciiResult;
+
+        // Animations store their frames only; the shown grid is one of them
+        return frames
+            ? { ...details, frames: frames.map(frame => ({ grid: frame.grid, delay: frame.delay })) }
+            : { ...details, grid };
+    }
+
+    /**
+     * Rebuild a result from stored data
+     * @param {Object} data - Stored result
+     * @returns {Object} Conversion result with ASCIIGrid instances
+     */
+    deserializeResult(data) {
+        if (!data.frames) {
+            return { ...data, grid: ASCIIGrid.from(data.grid) };
+        }
+
+        const frames = data.frames.map(frame => ({ grid: ASCIIGrid.from(frame.grid), delay: frame.delay }));
+        return { ...data, grid: frames[0].grid, frames, frameIndex: 0 };
+    }
+}
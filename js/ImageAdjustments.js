@@ -0,0 +1,273 @@
+/**
+ * ImageAdjustments - Pre-conversion adjustments applied to an RGBA pixel buffer
+ * Pure pixel math with no DOM access, so it runs in the worker as well as on
+ * the page for the live preview
+ */
+export class ImageAdjustments {
+    constructor() {
+        this.DEFAULTS = {
+            brightness: 0,      // -100..100
+            contrast: 0,        // -100..100
+            gamma: 1,           // 0.1..3
+            saturation: 0,      // -100..100
+            invert: false,
+            blur: 0,            // radius in pixels, 0..10
+            sharpen: 0,         // 0..100
+            autoLevels: false,
+            equalize: false
+        };
+
+        // Fraction of pixels clipped at each end by auto-levels
+        this.AUTO_LEVELS_CLIP = 0.005;
+    }
+
+    /**
+     * Check whether settings leave the image unchanged
+     * @param {Object} settings - Adjustment settings
+     * @returns {boolean} True when no adjustment is active
+     */
+    isIdentity(settings) {
+        if (!settings) return true;
+        return Object.keys(this.DEFAULTS).every(key =>
+            settings[key] === undefined || settings[key] === this.DEFAULTS[key]);
+    }
+
+    /**
+     * Apply all adjustments in place
+     * Order: blur, sharpen, auto-levels, equalize, brightness/contrast/gamma, saturation, invert
+     * @param {ImageData} imageData - Image data ({ data, width, height })
+     * @param {Object} settings - Adjustment settings (missing keys use defaults)
+     * @returns {ImageData} The same image data, adjusted
+     */
+    apply(imageData, settings) {
+        if (this.isIdentity(settings)) return imageData;
+
+        const options = { ...this.DEFAULTS, ...settings };
+        const { data, width, height } = imageData;
+
+        if (options.blur > 0) {
+            data.set(this.boxBlur(data, width, height, options.blur));
+        }
+        if (options.sharpen > 0) {
+            this.sharpen(data, width, height, options.sharpen / 100);
+        }
+        if (options.autoLevels) {
+            this.autoLevels(data);
+        }
+        if (options.equalize) {
+            this.equalize(data);
+        }
+
+        this.applyToneCurve(data, this.buildToneLookup(options));
+
+        if (options.saturation !== 0) {
+            this.saturate(data, 1 + options.saturation / 100);
+        }
+        if (options.invert) {
+            this.invert(data);
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Build a lookup table for brightness, contrast and gamma
+     * @param {Object} options - Adjustment settings
+     * @returns {Uint8ClampedArray} 256-entry tone curve
+     */
+    buildToneLookup(options) {
+        const lookup = new Uint8ClampedArray(256);
+        const brightness = options.brightness / 100;
+        // Standard contrast curve: -100 flattens to grey, +100 approaches a hard threshold
+        const contrast = Math.max(-99.9, Math.min(99.9, options.contrast)) * 2.55;
+        const contrastFactor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+        const inverseGamma = 1 / Math.max(0.01, options.gamma);
+
+        for (let value = 0; value < 256; value++) {
+            let v = value / 255 + brightness;
+            v = (v - 0.5) * contrastFactor + 0.5;
+            v = Math.pow(Math.max(0, Math.min(1, v)), inverseGamma);
+            lookup[value] = Math.round(v * 255);
+        }
+
+        return lookup;
+    }
+
+    /**
+     * Apply a per-channel lookup table to RGB
+     */
+    applyToneCurve(data, lookup) {
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = lookup[data[i]];
+            data[i + 1] = lookup[data[i + 1]];
+            data[i + 2] = lookup[data[i + 2]];
+        }
+    }
+
+    /**
+     * Scale saturation around each pixel's luminance
+     * @param {Uint8ClampedArray} data - RGBA data
+     * @param {number} factor - 0 = greyscale, 1 = unchanged, 2 = double
+     */
+    saturate(data, factor) {
+        for (let i = 0; i < data.length; i += 4) {
+            const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+            data[i] = gray + (data[i] - gray) * factor;
+            data[i + 1] = gray + (data[i + 1] - gray) * factor;
+            data[i + 2] = gray + (data[i + 2] - gray) * factor;
+        }
+    }
+
+    /**
+     * Invert RGB channels
+     */
+    invert(data) {
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = 255 - data[i];
+            data[i + 1] = 255 - data[i + 1];
+            data[i + 2] = 255 - data[i + 2];
+        }
+    }
+
+    /**
+     * Two-pass separable box blur of RGB (alpha is kept)
+     * @param {Uint8ClampedArray} data - RGBA data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} radius - Blur radius in pixels
+     * @returns {Uint8ClampedArray} Blurred copy
+     */
+    boxBlur(data, width, height, radius) {
+        const r = Math.max(1, Math.round(radius));
+        const temp = new Uint8ClampedArray(data);
+        const out = new Uint8ClampedArray(data);
+
+        this.blurPass(data, temp, width, height, r, 1, width);
+        this.blurPass(temp, out, height, width, r, width, 1);
+
+        return out;
+    }
+
+    /**
+     * One blur pass along lines of pixels
+     * @param {Uint8ClampedArray} source - Source RGBA
+     * @param {Uint8ClampedArray} target - Target RGBA
+     * @param {number} length - Pixels per line
+     * @param {number} lines - Number of lines
+     * @param {number} radius - Blur radius
+     * @param {number} step - Pixel stride along a line
+     * @param {number} lineStride - Pixel stride between lines
+     */
+    blurPass(source, target, length, lines, radius, step, lineStride) {
+        const window = radius * 2 + 1;
+
+        for (let line = 0; line < lines; line++) {
+            const base = line * lineStride;
+
+            for (let channel = 0; channel < 3; channel++) {
+                let sum = 0;
+                const at = (pos) => source[(base + Math.max(0, Math.min(length - 1, pos)) * step) * 4 + channel];
+
+                for (let k = -radius; k <= radius; k++) {
+                    sum += at(k);
+                }
+
+                for (let pos = 0; pos < length; pos++) {
+                    target[(base + pos * step) * 4 + channel] = sum / window;
+                    sum += at(pos + radius + 1) - at(pos - radius);
+                }
+            }
+        }
+    }
+
+    /**
+     * Unsharp mask: add back the difference from a light blur
+     * @param {Uint8ClampedArray} data - RGBA data (modified in place)
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} amount - Strength (0-1, scaled up internally)
+     */
+    sharpen(data, width, height, amount) {
+        const blurred = this.boxBlur(data, width, height, 1);
+        const strength = amount * 2;
+
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = data[i] + (data[i] - blurred[i]) * strength;
+            data[i + 1] = data[i + 1] + (data[i + 1] - blurred[i + 1]) * strength;
+            data[i + 2] = data[i + 2] + (data[i + 2] - blurred[i + 2]) * strength;
+        }
+    }
+
+    /**
+     * Stretch the luminance range to full scale, clipping a small fraction at each end
+     * The same mapping is used for every channel so hues are kept
+     */
+    autoLevels(data) {
+        const histogram = this.luminanceHistogram(data);
+        const clip = histogram.total * this.AUTO_LEVELS_CLIP;
+
+        let low = 0;
+        for (let count = 0; low < 255 && count + histogram.bins[low] <= clip; low++) {
+            count += histogram.bins[low];
+        }
+        let high = 255;
+        for (let count = 0; high > 0 && count + histogram.bins[high] <= clip; high--) {
+            count += histogram.bins[high];
+        }
+        if (high <= low) return;
+
+        const lookup = new Uint8ClampedArray(256);
+        for (let value = 0; value < 256; value++) {
+            lookup[value] = ((value - low) * 255) / (high - low);
+        }
+        this.applyToneCurve(data, lookup);
+    }
+
+    /**
+     * Histogram equalization of luminance; RGB is scaled to the new luminance
+     */
+    equalize(data) {
+        const histogram = this.luminanceHistogram(data);
+        if (histogram.total === 0) return;
+
+        const cdf = new Float32Array(256);
+        let running = 0;
+        for (let value = 0; value < 256; value++) {
+            running += histogram.bins[value];
+            cdf[value] = running / histogram.total;
+        }
+
+        for (let i = 0; i < data.length; i += 4) {
+            const luminance = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+            const target = cdf[Math.round(luminance)] * 255;
+
+            if (luminance < 1) {
+                data[i] = data[i + 1] = data[i + 2] = target;
+                continue;
+            }
+
+            const ratio = target / luminance;
+            data[i] *= ratio;
+            data[i + 1] *= ratio;
+            data[i + 2] *= ratio;
+        }
+    }
+
+    /**
+     * Luminance histogram of visible pixels
+     * @param {Uint8ClampedArray} data - RGBA data
+     * @returns {Object} bins (256 counts) and total
+     */
+    luminanceHistogram(data) {
+        const bins = new Uint32Array(256);
+        let total = 0;
+
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] === 0) continue;
+            bins[Math.round(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114)]++;
+            total++;
+        }
+
+        return { bins, total };
+    }
+}
@@ -2,9 +2,30 @@
  * ImageProcessor - Handles image loading and canvas operations
  * Follows Single Responsibility Principle
  */
+import { GifDecoder } from './GifDecoder.js';
+
 export class ImageProcessor {
     constructor() {
         this.MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
+        this.MAX_ANIMATION_FRAMES = 300;
+        this.MAX_VIDEO_WIDTH = 640;
+        this.SVG_FALLBACK_SIZE = { width: 300, height: 150 }; // Browser default for unsized SVGs
+        this.MAX_ORIENTED_PREVIEW = 1024;
+        this.FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+        this.EXTENSION_TYPES = {
+            png: 'image/png',
+            jpg: 'image/jpeg',
+            jpeg: 'image/jpeg',
+            webp: 'image/webp',
+            gif: 'image/gif',
+            bmp: 'image/bmp',
+            avif: 'image/avif',
+            svg: 'image/svg+xml',
+            mp4: 'video/mp4',
+            webm: 'video/webm',
+            mov: 'video/quicktime'
+        };
+        this.gifDecoder = new GifDecoder();
         this.canvas = document.getElementById('imageCanvas');
         this.ctx = this.canvas.getContext('2d');
         
@@ -25,8 +46,8 @@ export class ImageProcessor {
             return { valid: false, error: 'No file selected.' };
         }
 
-        if (!file.type.startsWith('image/')) {
-            return { valid: false, error: 'Please select a valid image file.' };
+        if (!file.type.startsWith('image/') && !file.type.startsWith('video/')) {
+            return { valid: false, error: 'Please select a valid image or video file.' };
         }
 
         if (file.size > this.MAX_FILE_SIZE) {
@@ -40,6 +61,49 @@ export class ImageProcessor {
         return { valid: true };
     }
 
+    /**
+     * Fill in a missing MIME type from the file extension
+     * Some drag sources and servers provide files without a usable type
+     * @param {File} file - Incoming file
+     * @returns {File} File with a type when one could be inferred
+     */
+    normalizeFile(file) {
+        if (!file || (file.type && file.type !== 'application/octet-stream')) return file;
+
+        const extension = file.name.split('.').pop().toLowerCase();
+        const type = this.EXTENSION_TYPES[extension];
+
+        return type ? new File([file], file.name, { type }) : file;
+    }
+
+    /**
+     * Fetch a file from a URL
+     * @param {string} url - Image or video URL
+     * @returns {Promise<File>} Downloaded file
+     */
+    async loadFileFromUrl(url) {
+        let response;
+        try {
+            response = await fetch(url, { mode: 'cors' });
+        } catch (error) {
+            // fetch only reports network and CORS failures as a bare TypeError
+            throw new Error(
+                'The server did not allow this page to read the image (CORS), or it could not be reached. ' +
+                'Browsers block reading pixels from other sites unless they send an ' +
+                'Access-Control-Allow-Origin header. Download the image and upload it instead.'
+            );
+        }
+
+        if (!response.ok) {
+            throw new Error(`The server responded with ${response.status} ${response.statusText}`.trim());
+        }
+
+        const blob = await response.blob();
+        const name = decodeURIComponent(new URL(url, location.href).pathname.split('/').pop()) || 'image';
+
+        return this.normalizeFile(new File([blob], name, { type: blob.type }));
+    }
+
     /**
      * Load image from file
      * @param {File} file - Image file to load
@@ -64,22 +128,324 @@ export class ImageProcessor {
         });
     }
 
+    /**
+     * Check whether a file is a GIF that may hold several frames
+     * @param {File} file - Uploaded file
+     * @returns {boolean} True for GIF files
+     */
+    isGif(file) {
+        return file.type === 'image/gif';
+    }
+
+    /**
+     * Check whether a file is an SVG that needs rasterizing
+     * @param {File} file - Uploaded file
+     * @returns {boolean} True for SVG files
+     */
+    isSvg(file) {
+        return file.type === 'image/svg+xml';
+    }
+
+    /**
+     * Rasterize an SVG file so its longest side matches the chosen size
+     * @param {File} file - SVG file
+     * @param {number} size - Longest side in pixels
+     * @returns {Promise<HTMLCanvasElement>} Rasterized image
+     */
+    async loadSvgFromFile(file, size) {
+        const svg = new DOMParser().parseFromString(await file.text(), 'image/svg+xml').documentElement;
+        if (svg.nodeName !== 'svg') {
+            throw new Error('Invalid SVG file');
+        }
+
+        const { width, height } = this.getSvgSize(svg);
+        const scale = size / Math.max(width, height);
+        const canvas = this.createFrameCanvas(
+            Math.max(1, Math.round(width * scale)),
+            Math.max(1, Math.round(height * scale))
+        );
+
+        // Render at the target size so vector edges stay sharp; a viewBox keeps the drawing scaled
+        if (!svg.hasAttribute('viewBox')) {
+            svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        }
+        svg.setAttribute('width', canvas.width);
+        svg.setAttribute('height', canvas.height);
+
+        const blob = new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' });
+        const imageUrl = URL.createObjectURL(blob);
+        try {
+            const image = await this.loadImageFromUrl(imageUrl);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        } finally {
+            URL.revokeObjectURL(imageUrl);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Read the intrinsic size of an SVG document
+     * @param {SVGSVGElement} svg - Root SVG element
+     * @returns {Object} { width, height }
+     */
+    getSvgSize(svg) {
+        const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+
+        if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+            return { width: viewBox[2], height: viewBox[3] };
+        }
+
+        // Percentages depend on a container, so only absolute lengths count
+        const readLength = (name) => {
+            const value = svg.getAttribute(name) || '';
+            return value.endsWith('%') ? NaN : parseFloat(value);
+        };
+        const width = readLength('width');
+        const height = readLength('height');
+        if (width > 0 && height > 0) {
+            return { width, height };
+        }
+
+        return this.SVG_FALLBACK_SIZE;
+    }
+
+    /**
+     * Check whether a file is a video
+     * @param {File} file - Uploaded file
+     * @returns {boolean} True for video files
+     */
+    isVideo(file) {
+        return file.type.startsWith('video/');
+    }
+
+    /**
+     * Decode every frame of a GIF file
+     * @param {File} file - GIF file
+     * @returns {Promise<Object>} Animation { width, height, frames: [{ canvas, delay }], truncated }
+     */
+    async loadGifFrames(file) {
+        const decoded = this.gifDecoder.decode(await file.arrayBuffer());
+        const kept = decoded.frames.slice(0, this.MAX_ANIMATION_FRAMES);
+
+        const frames = kept.map(frame => {
+            const canvas = this.createFrameCanvas(decoded.width, decoded.height);
+            const imageData = new ImageData(frame.data, decoded.width, decoded.height);
+            canvas.getContext('2d').putImageData(imageData, 0, 0);
+            return { canvas, delay: frame.delay };
+        });
+
+        return {
+            width: decoded.width,
+            height: decoded.height,
+            frames,
+            truncated: decoded.frames.length > kept.length
+        };
+    }
+
+    /**
+     * Sample frames from a video file at a fixed rate
+     * @param {File} file - Video file
+     * @param {number} fps - Frames to sample per second of video
+     * @param {Function} progressCallback - Receives sampling progress (0-100)
+     * @returns {Promise<Object>} Animation { width, height, frames: [{ canvas, delay }], truncated }
+     */
+    async loadVideoFrames(file, fps, progressCallback) {
+        const videoUrl = URL.createObjectURL(file);
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+        video.src = videoUrl;
+
+        try {
+            await this.waitForEvent(video, 'loadeddata');
+
+            if (!Number.isFinite(video.duration) || video.videoWidth === 0) {
+                throw new Error('Video has no readable frames');
+            }
+
+            const available = Math.max(1, Math.floor(video.duration * fps));
+            const count = Math.min(available, this.MAX_ANIMATION_FRAMES);
+            const scale = Math.min(1, this.MAX_VIDEO_WIDTH / video.videoWidth);
+            const width = Math.round(video.videoWidth * scale);
+            const height = Math.round(video.videoHeight * scale);
+            const frames = [];
+
+            for (let i = 0; i < count; i++) {
+                video.currentTime = i / fps;
+                await this.waitForEvent(video, 'seeked');
+
+                const canvas = this.createFrameCanvas(width, height);
+                canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+                frames.push({ canvas, delay: 1000 / fps });
+
+                if (progressCallback) {
+                    progressCallback(Math.round(((i + 1) / count) * 100));
+                }
+            }
+
+            return { width, height, frames, truncated: available > count };
+        } finally {
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(videoUrl);
+        }
+    }
+
+    /**
+     * Wait for a media element event, rejecting on media errors
+     * @param {HTMLMediaElement} element - Media element
+     * @param {string} eventName - Event to wait for
+     * @returns {Promise<void>} Resolves when the event fires
+     */
+    waitForEvent(element, eventName) {
+        return new Promise((resolve, reject) => {
+            const onEvent = () => {
+                element.removeEventListener('error', onError);
+                resolve();
+            };
+            const onError = () => {
+                element.removeEventListener(eventName, onEvent);
+                reject(new Error('Failed to decode video'));
+            };
+
+            element.addEventListener(eventName, onEvent, { once: true });
+            element.addEventListener('error', onError, { once: true });
+        });
+    }
+
+    /**
+     * Create a canvas to hold one animation frame
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @returns {HTMLCanvasElement} Frame canvas
+     */
+    createFrameCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
     /**
      * Get image data from canvas
-     * @param {HTMLImageElement} image - Source image
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Source image
      * @param {number} targetWidth - Target width
      * @param {number} targetHeight - Target height
+     * @param {Object|null} [region] - Rotation, flips and crop to apply, see drawRegion
      * @returns {ImageData} Image data
      */
-    getImageData(image, targetWidth, targetHeight) {
+    getImageData(image, targetWidth, targetHeight, region = null) {
         this.canvas.width = targetWidth;
         this.canvas.height = targetHeight;
         
         // Clear canvas and draw image
         this.ctx.clearRect(0, 0, targetWidth, targetHeight);
-        this.ctx.drawImage(image, 0, 0, targetWidth, targetHeight);
+        if (region) {
+            this.drawRegion(this.ctx, image, region, targetWidth, targetHeight);
+        } else {
+            this.ctx.drawImage(image, 0, 0, targetWidth, targetHeight);
+        }
         
-        return this.ctx.getImageData(0, 0, targetWidth, targetHeight);
+        try {
+            return this.ctx.getImageData(0, 0, targetWidth, targetHeight);
+        } catch (error) {
+            if (error.name === 'SecurityError') {
+                throw new Error('This image comes from another site that does not allow cross-origin (CORS) access, so its pixels cannot be read.');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get downscaled image data for small previews
+     * @param {HTMLImageElement} image - Source image
+     * @param {Object|null} [region] - Rotation, flips and crop to apply, see drawRegion
+     * @param {number} maxSize - Longest side of the thumbnail
+     * @returns {ImageData} Image data
+     */
+    getThumbnailData(image, region = null, maxSize = 240) {
+        const size = region ? this.getRegionSize(image, region) : image;
+        const scale = Math.min(1, maxSize / Math.max(size.width, size.height));
+        const { width, height } = this.calculateScaledDimensions(size, scale);
+        return this.getImageData(image, Math.max(1, width), Math.max(1, height), region);
+    }
+
+    /**
+     * Draw the selected region of an image, rotated and flipped, over a whole canvas
+     * @param {CanvasRenderingContext2D} ctx - Destination context
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Source image
+     * @param {Object} region - Region settings
+     * @param {number} region.rotation - Clockwise rotation: 0, 90, 180 or 270
+     * @param {boolean} region.flipH - Mirror horizontally after rotating
+     * @param {boolean} region.flipV - Mirror vertically after rotating
+     * @param {Object|null} region.crop - Crop { x, y, width, height } as fractions of the rotated image
+     * @param {number} targetWidth - Destination width
+     * @param {number} targetHeight - Destination height
+     */
+    drawRegion(ctx, image, region, targetWidth, targetHeight) {
+        const { width, height } = this.getOrientedSize(image, region);
+        const crop = region.crop || this.FULL_CROP;
+
+        // Transforms apply bottom-up: rotate, flip, move into place, then cut out the crop
+        ctx.save();
+        ctx.scale(targetWidth / (crop.width * width), targetHeight / (crop.height * height));
+        ctx.translate(-crop.x * width, -crop.y * height);
+        ctx.translate(width / 2, height / 2);
+        ctx.scale(region.flipH ? -1 : 1, region.flipV ? -1 : 1);
+        ctx.rotate(region.rotation * Math.PI / 180);
+        ctx.drawImage(image, -image.width / 2, -image.height / 2, image.width, image.height);
+        ctx.restore();
+    }
+
+    /**
+     * Get the size of an image after rotation
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Source image
+     * @param {Object} region - Region settings, see drawRegion
+     * @returns {Object} { width, height }
+     */
+    getOrientedSize(image, region) {
+        return region.rotation % 180 === 0
+            ? { width: image.width, height: image.height }
+            : { width: image.height, height: image.width };
+    }
+
+    /**
+     * Get the pixel size of the selected region
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Source image
+     * @param {Object} region - Region settings, see drawRegion
+     * @returns {Object} { width, height }
+     */
+    getRegionSize(image, region) {
+        const { width, height } = this.getOrientedSize(image, region);
+        const crop = region.crop || this.FULL_CROP;
+
+        return {
+            width: Math.max(1, Math.round(width * crop.width)),
+            height: Math.max(1, Math.round(height * crop.height))
+        };
+    }
+
+    /**
+     * Get an image showing the rotation and flips of a region, for cropping on screen
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Source image
+     * @param {Object} region - Region settings, see drawRegion
+     * @returns {HTMLImageElement|HTMLCanvasElement} The image itself when not rotated or flipped
+     */
+    createOrientedPreview(image, region) {
+        if (region.rotation === 0 && !region.flipH && !region.flipV) {
+            return image;
+        }
+
+        const { width, height } = this.getOrientedSize(image, region);
+        const scale = Math.min(1, this.MAX_ORIENTED_PREVIEW / Math.max(width, height));
+        const canvas = this.createFrameCanvas(
+            Math.max(1, Math.round(width * scale)),
+            Math.max(1, Math.round(height * scale))
+        );
+
+        this.drawRegion(canvas.getContext('2d'), image, { ...region, crop: null }, canvas.width, canvas.height);
+        return canvas;
     }
 
     /**
@@ -190,6 +556,24 @@ export class ImageProcessor {
         });
     }
 
+    /**
+     * Get image data of the current camera frame
+     * @param {number} targetWidth - Target width
+     * @param {number} targetHeight - Target height
+     * @returns {ImageData} Image data
+     */
+    getVideoFrameData(targetWidth, targetHeight) {
+        if (!this.videoElement || this.videoElement.videoWidth === 0) {
+            throw new Error('Camera video not ready');
+        }
+
+        this.captureCanvas.width = targetWidth;
+        this.captureCanvas.height = targetHeight;
+        this.captureCtx.drawImage(this.videoElement, 0, 0, targetWidth, targetHeight);
+
+        return this.captureCtx.getImageData(0, 0, targetWidth, targetHeight);
+    }
+
     /**
      * Check if camera is supported
      * @returns {boolean} Camera support status
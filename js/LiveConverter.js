@@ -0,0 +1,154 @@
+/**
+ * LiveConverter - Continuously converts camera frames to ASCII
+ * Adapts the sampling resolution so conversion keeps up with the target frame rate
+ */
+import { GridSizer } from './GridSizer.js';
+
+export class LiveConverter {
+    /**
+     * @param {ImageProcessor} imageProcessor - Source of video frames
+     * @param {ConversionService} conversionService - Dedicated conversion worker
+     */
+    constructor(imageProcessor, conversionService) {
+        this.imageProcessor = imageProcessor;
+        this.conversionService = conversionService;
+        this.gridSizer = new GridSizer();
+
+        this.TARGET_FPS = 15;
+        this.MIN_DETAIL = 0.2;
+        this.MAX_FRAME_WIDTH = 640; // Video frames are downscaled to this width before the scale setting
+
+        this.running = false;
+        this.detail = 1;
+        this.detailLocked = false;
+        this.frameTimestamps = [];
+    }
+
+    /**
+     * Start the live conversion loop
+     * @param {Object} handlers - Loop handlers
+     * @param {Function} handlers.getSettings - Returns { sizing, options } for the next frame,
+     *     with sizing as in GridSizer.plan
+     * @param {Function} handlers.onFrame - Receives each ASCII result
+     * @param {Function} handlers.onStats - Receives { fps, detail } after each frame
+     * @param {Function} handlers.onError - Receives errors that stop the loop
+     */
+    start(handlers) {
+        if (this.running) return;
+
+        this.running = true;
+        this.detail = 1;
+        this.frameTimestamps = [];
+        this.loop(handlers);
+    }
+
+    /**
+     * Stop the loop and cancel the frame in flight
+     */
+    stop() {
+        this.running = false;
+        this.conversionService.cancel();
+    }
+
+    /**
+     * Hold the current detail level, e.g. so recorded frames share one grid size
+     * @param {boolean} locked - Whether detail adaptation is paused
+     */
+    lockDetail(locked) {
+        this.detailLocked = locked;
+    }
+
+    /**
+     * Check whether the loop is running
+     * @returns {boolean} Running state
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Convert frames one at a time until stopped
+     * @param {Object} handlers - Loop handlers
+     */
+    async loop(handlers) {
+        while (this.running) {
+            const startTime = performance.now();
+
+            try {
+                const { sizing, options } = handlers.getSettings();
+                // Frames are captured at the planned size, so the worker has nothing to resample
+                const plan = this.getFrameSize(sizing);
+                const imageData = this.imageProcessor.getVideoFrameData(plan.width, plan.height);
+
+                const result = await this.conversionService.convert(imageData, plan, options);
+                if (!this.running) break;
+
+                handlers.onFrame(result);
+                this.adaptDetail(performance.now() - startTime);
+                handlers.onStats({ fps: this.measureFPS(), detail: this.detail });
+            } catch (error) {
+                if (this.conversionService.isCancellation(error)) break;
+
+                this.running = false;
+                handlers.onError(error);
+                break;
+            }
+
+            // Yield to the browser so the new frame gets painted
+            await new Promise(resolve => requestAnimationFrame(resolve));
+        }
+    }
+
+    /**
+     * Plan the frame size for the sizing settings and adaptive detail
+     * Lower detail samples a smaller frame; a target grid keeps its columns and rows
+     * @param {Object} sizing - Sizing settings, see GridSizer.plan
+     * @returns {Object} { width, height, grid }, see GridSizer.plan
+     */
+    getFrameSize(sizing) {
+        const video = this.imageProcessor.videoElement;
+        const factor = Math.min(1, this.MAX_FRAME_WIDTH / video.videoWidth) * this.detail;
+        const plan = this.gridSizer.plan(
+            Math.max(1, Math.round(video.videoWidth * factor)),
+            Math.max(1, Math.round(video.videoHeight * factor)),
+            sizing
+        );
+
+        return {
+            width: Math.max(1, plan.width),
+            height: Math.max(1, plan.height),
+            grid: plan.grid
+        };
+    }
+
+    /**
+     * Drop detail when frames fall behind, restore it when there is headroom
+     * @param {number} frameTime - Time spent on the last frame in ms
+     */
+    adaptDetail(frameTime) {
+        const budget = 1000 / this.TARGET_FPS;
+
+        if (this.detailLocked) return;
+
+        if (frameTime > budget * 1.25) {
+            this.detail = Math.max(this.MIN_DETAIL, this.detail * 0.85);
+        } else if (frameTime < budget * 0.6) {
+            this.detail = Math.min(1, this.detail * 1.1);
+        }
+    }
+
+    /**
+     * Measure frames per second over the last second
+     * @returns {number} Frames per second
+     */
+    measureFPS() {
+        const now = performance.now();
+        this.frameTimestamps.push(now);
+
+        while (this.frameTimestamps.length > 0 && now - this.frameTimestamps[0] > 1000) {
+            this.frameTimestamps.shift();
+        }
+
+        return this.frameTimestamps.length;
+    }
+}
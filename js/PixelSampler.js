@@ -0,0 +1,193 @@
+/**
+ * PixelSampler - Orients, crops and resizes RGBA pixel buffers without a canvas
+ * Used by the conversion worker and the command line alike, so both sample images the same way
+ */
+export class PixelSampler {
+    constructor() {
+        this.FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+    }
+
+    /**
+     * Cut out the selected region of an image, rotated and flipped
+     * @param {Object} image - Pixels { data, width, height }
+     * @param {Object} region - Region settings, see ImageProcessor.drawRegion
+     * @returns {Object} New pixels { data, width, height }, or the image itself when the region is all of it
+     */
+    applyRegion(image, region) {
+        const rotation = this.getRotation(region);
+        const crop = region.crop || this.FULL_CROP;
+        if (rotation === 0 && !region.flipH && !region.flipV &&
+            crop.x === 0 && crop.y === 0 && crop.width === 1 && crop.height === 1) {
+            return image;
+        }
+
+        const orientedWidth = rotation % 180 === 0 ? image.width : image.height;
+        const orientedHeight = rotation % 180 === 0 ? image.height : image.width;
+        const { width, height } = this.getRegionSize(image, region);
+        const left = Math.min(orientedWidth - width, Math.round(orientedWidth * crop.x));
+        const top = Math.min(orientedHeight - height, Math.round(orientedHeight * crop.y));
+
+        // Undo the flips, then the rotation, to find the source pixel
+        const sourceIndex = (x, y) => {
+            let ox = left + x;
+            let oy = top + y;
+            if (region.flipH) ox = orientedWidth - 1 - ox;
+            if (region.flipV) oy = orientedHeight - 1 - oy;
+
+            const { sx, sy } = this.unrotate(ox, oy, rotation, image.width, image.height);
+            return sy * image.width + sx;
+        };
+
+        // The mapping is affine, so walk the source with fixed steps
+        const origin = sourceIndex(0, 0);
+        const stepX = sourceIndex(1, 0) - origin;
+        const stepY = sourceIndex(0, 1) - origin;
+
+        const source = image.data;
+        const data = new Uint8ClampedArray(width * height * 4);
+        let target = 0;
+        for (let y = 0; y < height; y++) {
+            let index = origin + y * stepY;
+            for (let x = 0; x < width; x++) {
+                const c = index * 4;
+                data[target++] = source[c];
+                data[target++] = source[c + 1];
+                data[target++] = source[c + 2];
+                data[target++] = source[c + 3];
+                index += stepX;
+            }
+        }
+
+        return { data, width, height };
+    }
+
+    /**
+     * Get the pixel size of the selected region
+     * Same rounding as ImageProcessor.getRegionSize, so page and core plan the same grid
+     * @param {Object} image - Image or pixels with width and height
+     * @param {Object} region - Region settings, see ImageProcessor.drawRegion
+     * @returns {Object} { width, height }
+     */
+    getRegionSize(image, region) {
+        const rotation = this.getRotation(region);
+        const crop = region.crop || this.FULL_CROP;
+
+        return {
+            width: Math.max(1, Math.round((rotation % 180 === 0 ? image.width : image.height) * crop.width)),
+            height: Math.max(1, Math.round((rotation % 180 === 0 ? image.height : image.width) * crop.height))
+        };
+    }
+
+    /**
+     * Normalize the rotation of a region
+     * @param {Object} region - Region settings, see ImageProcessor.drawRegion
+     * @returns {number} Clockwise rotation: 0, 90, 180 or 270
+     */
+    getRotation(region) {
+        const rotation = ((region.rotation || 0) % 360 + 360) % 360;
+        if (rotation % 90 !== 0) {
+            throw new Error('Rotation must be a multiple of 90 degrees.');
+        }
+        return rotation;
+    }
+
+    /**
+     * Map a pixel of the rotated image back to the source image
+     * @param {number} x - Rotated X
+     * @param {number} y - Rotated Y
+     * @param {number} rotation - Clockwise rotation: 0, 90, 180 or 270
+     * @param {number} width - Source width
+     * @param {number} height - Source height
+     * @returns {Object} { sx, sy }
+     */
+    unrotate(x, y, rotation, width, height) {
+        switch (rotation) {
+            case 90:
+                return { sx: y, sy: height - 1 - x };
+            case 180:
+                return { sx: width - 1 - x, sy: height - 1 - y };
+            case 270:
+                return { sx: width - 1 - y, sy: x };
+            default:
+                return { sx: x, sy: y };
+        }
+    }
+
+    /**
+     * Resize an image by averaging the source area under each target pixel
+     * Colors are weighted by alpha so transparent pixels do not darken edges
+     * @param {Object} image - Pixels { data, width, height }
+     * @param {number} width - Target width
+     * @param {number} height - Target height
+     * @returns {Object} New pixels { data, width, height }
+     */
+    resize(image, width, height) {
+        const xWeights = this.getWeights(image.width, width);
+        const yWeights = this.getWeights(image.height, height);
+
+        // Horizontal pass into premultiplied floats, then vertical pass
+        const rows = new Float32Array(width * image.height * 4);
+        for (let y = 0; y < image.height; y++) {
+            for (let x = 0; x < width; x++) {
+                const target = (y * width + x) * 4;
+                for (const { index, weight } of xWeights[x]) {
+                    const source = (y * image.width + index) * 4;
+                    const alpha = image.data[source + 3] * weight;
+                    rows[target] += image.data[source] * alpha;
+                    rows[target + 1] += image.data[source + 1] * alpha;
+                    rows[target + 2] += image.data[source + 2] * alpha;
+                    rows[target + 3] += alpha;
+                }
+            }
+        }
+
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0, a = 0;
+                for (const { index, weight } of yWeights[y]) {
+                    const source = (index * width + x) * 4;
+                    r += rows[source] * weight;
+                    g += rows[source + 1] * weight;
+                    b += rows[source + 2] * weight;
+                    a += rows[source + 3] * weight;
+                }
+
+                const target = (y * width + x) * 4;
+                if (a > 0) {
+                    data[target] = r / a;
+                    data[target + 1] = g / a;
+                    data[target + 2] = b / a;
+                }
+                data[target + 3] = a;
+            }
+        }
+
+        return { data, width, height };
+    }
+
+    /**
+     * Work out which source pixels cover each target pixel along one axis
+     * @param {number} sourceSize - Source length
+     * @param {number} targetSize - Target length
+     * @returns {Object[][]} Per target pixel: [{ index, weight }] with weights summing to 1
+     */
+    getWeights(sourceSize, targetSize) {
+        const step = sourceSize / targetSize;
+        const weights = [];
+
+        for (let i = 0; i < targetSize; i++) {
+            const start = i * step;
+            const end = start + step;
+            const entries = [];
+
+            for (let index = Math.floor(start); index < Math.min(sourceSize, Math.ceil(end)); index++) {
+                const overlap = Math.min(end, index + 1) - Math.max(start, index);
+                if (overlap > 0) entries.push({ index, weight: overlap / step });
+            }
+            weights.push(entries);
+        }
+
+        return weights;
+    }
+}
@@ -0,0 +1,304 @@
+/**
+ * PreviewNavigator - Zoom, pan and minimap for the ASCII preview
+ * Zooming changes the preview font size; panning scrolls the preview
+ */
+export class PreviewNavigator {
+    /**
+     * @param {HTMLElement} preview - Scrollable ASCII preview
+     * @param {Object} minimap - Minimap elements { container, canvas, viewport }
+     * @param {HTMLElement} zoomLabel - Element showing the zoom level
+     */
+    constructor(preview, minimap, zoomLabel) {
+        this.preview = preview;
+        this.minimap = minimap;
+        this.zoomLabel = zoomLabel;
+
+        this.cols = 0;
+        this.rows = 0;
+        this.cellAspect = 0.6;
+        this.fontSize = 16;
+        this.fitMode = 'auto';
+        this.editing = false;
+        this.pointers = new Map();
+        this.pan = null;
+        this.pinch = null;
+
+        this.BASE_FONT_SIZE = 16; // Font size shown as 100%
+        this.MIN_FONT_SIZE = 1;
+        this.MAX_FONT_SIZE = 96;
+        this.AUTO_FIT_MAX = 16;
+        this.CHAR_WIDTH = 0.6; // Courier New advance in em
+        this.ZOOM_STEP = 1.25;
+        this.MINIMAP_SIZE = 160;
+
+        this.setupEvents();
+    }
+
+    /**
+     * Wire wheel, pointer and minimap input
+     */
+    setupEvents() {
+        const preview = this.preview;
+
+        preview.addEventListener('wheel', (e) => {
+            if (!this.cols) return;
+            e.preventDefault();
+
+            // Line-based wheels report far smaller deltas than pixel-based ones
+            const delta = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? e.deltaY * 16 : e.deltaY;
+            this.zoomAt(this.fontSize * Math.pow(1.0015, -delta), e.clientX, e.clientY);
+        }, { passive: false });
+
+        preview.addEventListener('pointerdown', (e) => {
+            if (!this.cols) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.pointers.size === 2) {
+                this.pan = null;
+                this.pinch = { distance: this.getPinchDistance(), fontSize: this.fontSize };
+                return;
+            }
+
+            // While editing, the primary button and single touches belong to the editor
+            const panButton = e.button === 1 || (e.button === 0 && !this.editing);
+            if (this.pointers.size === 1 && panButton) {
+                e.preventDefault();
+                preview.setPointerCapture(e.pointerId);
+                this.pan = { x: e.clientX, y: e.clientY, left: preview.scrollLeft, top: preview.scrollTop };
+            }
+        });
+
+        preview.addEventListener('pointermove', (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.pinch && this.pointers.size === 2) {
+                const [a, b] = [...this.pointers.values()];
+                this.zoomAt(
+                    this.pinch.fontSize * this.getPinchDistance() / this.pinch.distance,
+                    (a.x + b.x) / 2,
+                    (a.y + b.y) / 2
+                );
+            } else if (this.pan) {
+                preview.scrollLeft = this.pan.left - (e.clientX - this.pan.x);
+                preview.scrollTop = this.pan.top - (e.clientY - this.pan.y);
+            }
+        });
+
+        const endPointer = (e) => {
+            this.pointers.delete(e.pointerId);
+            if (this.pointers.size < 2) this.pinch = null;
+            if (this.pointers.size === 0) this.pan = null;
+        };
+        preview.addEventListener('pointerup', endPointer);
+        preview.addEventListener('pointercancel', endPointer);
+
+        preview.addEventListener('scroll', () => this.updateMinimapViewport());
+
+        const jumpTo = (e) => {
+            const rect = this.minimap.canvas.getBoundingClientRect();
+            preview.scrollLeft = ((e.clientX - rect.left) / rect.width) * preview.scrollWidth - preview.clientWidth / 2;
+            preview.scrollTop = ((e.clientY - rect.top) / rect.height) * preview.scrollHeight - preview.clientHeight / 2;
+        };
+        this.minimap.container.addEventListener('pointerdown', (e) => {
+            this.minimap.container.setPointerCapture(e.pointerId);
+            jumpTo(e);
+        });
+        this.minimap.container.addEventListener('pointermove', (e) => {
+            if (this.minimap.container.hasPointerCapture(e.pointerId)) jumpTo(e);
+        });
+    }
+
+    /**
+     * Set the grid shape shown in the preview
+     * @param {number} cols - Columns
+     * @param {number} rows - Rows
+     * @param {number} cellAspect - Character cell width / height
+     */
+    setLayout(cols, rows, cellAspect) {
+        this.cols = cols;
+        this.rows = rows;
+        this.cellAspect = cellAspect || 0.6;
+    }
+
+    /**
+     * Forget the layout when the preview shows a message instead of a grid
+     */
+    clear() {
+        this.cols = 0;
+        this.rows = 0;
+        this.minimap.container.hidden = true;
+    }
+
+    /**
+     * Fit the grid to the preview
+     * @param {string} mode - 'auto' (whole grid, as before zooming existed), 'width' or 'height'
+     */
+    fit(mode) {
+        if (!this.cols) return;
+
+        const style = getComputedStyle(this.preview);
+        const width = this.preview.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+        const height = this.preview.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+
+        const widthFit = width / (this.cols * this.CHAR_WIDTH);
+        const heightFit = height / (this.rows * this.getLineHeightRatio());
+
+        if (mode === 'width') {
+            this.setFontSize(widthFit);
+        } else if (mode === 'height') {
+            this.setFontSize(heightFit);
+        } else {
+            this.setFontSize(Math.min(this.AUTO_FIT_MAX, Math.floor(Math.min(widthFit, heightFit))));
+        }
+
+        this.fitMode = mode;
+        this.preview.scrollLeft = 0;
+        this.preview.scrollTop = 0;
+    }
+
+    /**
+     * Fit again after the preview was resized, unless the user chose a zoom level
+     */
+    refit() {
+        if (this.fitMode) {
+            this.fit(this.fitMode);
+        } else {
+            this.updateMinimapViewport();
+        }
+    }
+
+    /**
+     * Show characters at their natural size
+     */
+    showActualSize() {
+        const rect = this.preview.getBoundingClientRect();
+        this.zoomAt(this.BASE_FONT_SIZE, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    }
+
+    /**
+     * Zoom in or out one step around the preview center
+     * @param {number} direction - 1 to zoom in, -1 to zoom out
+     */
+    zoomStep(direction) {
+        const rect = this.preview.getBoundingClientRect();
+        this.zoomAt(this.fontSize * Math.pow(this.ZOOM_STEP, direction), rect.left + rect.width / 2, rect.top + rect.height / 2);
+    }
+
+    /**
+     * Change the zoom, keeping the content under a screen point in place
+     * @param {number} fontSize - New font size
+     * @param {number} clientX - Anchor X
+     * @param {number} clientY - Anchor Y
+     */
+    zoomAt(fontSize, clientX, clientY) {
+        if (!this.cols) return;
+
+        const preview = this.preview;
+        const rect = preview.getBoundingClientRect();
+        const style = getComputedStyle(preview);
+        const paddingLeft = parseFloat(style.paddingLeft);
+        const paddingTop = parseFloat(style.paddingTop);
+        const x = clientX - rect.left - preview.clientLeft;
+        const y = clientY - rect.top - preview.clientTop;
+
+        const contentX = preview.scrollLeft + x - paddingLeft;
+        const contentY = preview.scrollTop + y - paddingTop;
+        const ratio = this.clampFontSize(fontSize) / this.fontSize;
+
+        this.fitMode = null;
+        this.setFontSize(fontSize);
+
+        preview.scrollLeft = contentX * ratio + paddingLeft - x;
+        preview.scrollTop = contentY * ratio + paddingTop - y;
+    }
+
+    /**
+     * Apply a font size to the preview
+     * @param {number} fontSize - Font size in px
+     */
+    setFontSize(fontSize) {
+        this.fontSize = this.clampFontSize(fontSize);
+        this.preview.style.fontSize = `${this.fontSize}px`;
+        this.preview.style.lineHeight = `${this.fontSize * this.getLineHeightRatio()}px`;
+        this.zoomLabel.textContent = `${Math.round(this.fontSize / this.BASE_FONT_SIZE * 100)}%`;
+        this.updateMinimapViewport();
+    }
+
+    /**
+     * Keep a font size within the zoom limits
+     * @param {number} fontSize - Font size
+     * @returns {number} Clamped font size
+     */
+    clampFontSize(fontSize) {
+        return Math.max(this.MIN_FONT_SIZE, Math.min(this.MAX_FONT_SIZE, fontSize));
+    }
+
+    /**
+     * Get line height relative to font size so cells keep the sampled aspect
+     * Courier New characters advance 0.6em, so an aspect of 0.6 means 1em lines
+     * @returns {number} Line height ratio
+     */
+    getLineHeightRatio() {
+        return this.CHAR_WIDTH / this.cellAspect;
+    }
+
+    /**
+     * Get the distance between the two active touch points
+     * @returns {number} Distance in px
+     */
+    getPinchDistance() {
+        const [a, b] = [...this.pointers.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+    }
+
+    /**
+     * Draw the grid into the minimap, one pixel per cell
+     * @param {ASCIIGrid} grid - Displayed grid
+     * @param {number} transparentAlpha - Cells below this alpha are left empty
+     */
+    drawMinimap(grid, transparentAlpha) {
+        const { canvas } = this.minimap;
+        canvas.width = grid.cols;
+        canvas.height = grid.rows;
+
+        const image = new ImageData(grid.cols, grid.rows);
+        for (let i = 0; i < grid.cols * grid.rows; i++) {
+            const c = i * 4;
+            // Show the background where there is one, otherwise the character color
+            const source = grid.backgrounds[c + 3] > 0 ? grid.backgrounds : grid.colors;
+            if (source[c + 3] < transparentAlpha) continue;
+
+            image.data.set([source[c], source[c + 1], source[c + 2], 255], c);
+        }
+        canvas.getContext('2d').putImageData(image, 0, 0);
+
+        // Same proportions as the preview, within a fixed box
+        const contentAspect = (grid.cols * this.cellAspect) / grid.rows;
+        const scale = Math.min(this.MINIMAP_SIZE, this.MINIMAP_SIZE * contentAspect);
+        canvas.style.width = `${scale}px`;
+        canvas.style.height = `${scale / contentAspect}px`;
+
+        this.updateMinimapViewport();
+    }
+
+    /**
+     * Show the minimap only when the grid overflows, and outline the visible part
+     */
+    updateMinimapViewport() {
+        const preview = this.preview;
+        const { container, canvas, viewport } = this.minimap;
+        const overflowing = this.cols > 0 &&
+            (preview.scrollWidth > preview.clientWidth + 1 || preview.scrollHeight > preview.clientHeight + 1);
+
+        container.hidden = !overflowing;
+        if (!overflowing) return;
+
+        const width = parseFloat(canvas.style.width);
+        const height = parseFloat(canvas.style.height);
+        viewport.style.left = `${(preview.scrollLeft / preview.scrollWidth) * width}px`;
+        viewport.style.top = `${(preview.scrollTop / preview.scrollHeight) * height}px`;
+        viewport.style.width = `${Math.min(1, preview.clientWidth / preview.scrollWidth) * width}px`;
+        viewport.style.height = `${Math.min(1, preview.clientHeight / preview.scrollHeight) * height}px`;
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ * PreviewScheduler - Debounces automatic preview renders
+ * A new request cancels the pending one and any render still in flight,
+ * so only the latest settings reach the screen
+ */
+export class PreviewScheduler {
+    /**
+     * @param {ConversionService} conversionService - Service the preview renders run on
+     */
+    constructor(conversionService) {
+        this.conversionService = conversionService;
+
+        this.DEBOUNCE_MS = 250;
+
+        this.timer = null;
+        this.generation = 0;
+        this.activeGeneration = null;
+    }
+
+    /**
+     * Run a render once input has been quiet for a moment
+     * @param {Function} render - Async render, called with isCurrent() that turns false once superseded
+     */
+    schedule(render) {
+        this.cancel();
+
+        const generation = this.generation;
+        this.timer = setTimeout(async () => {
+            this.timer = null;
+            this.activeGeneration = generation;
+
+            try {
+                await render(() => generation === this.generation);
+            } finally {
+                if (this.activeGeneration === generation) {
+                    this.activeGeneration = null;
+                }
+            }
+        }, this.DEBOUNCE_MS);
+    }
+
+    /**
+     * Drop the pending render and stop the one in flight
+     */
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.generation++;
+
+        if (this.activeGeneration !== null) {
+            this.activeGeneration = null;
+            this.conversionService.cancel();
+        }
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * SettingsStore - Keeps the last-used settings and named presets in localStorage
+ * Presets travel between machines as JSON files
+ */
+export class SettingsStore {
+    constructor() {
+        this.LAST_SETTINGS_KEY = 'ascii-converter:last-settings';
+        this.PRESETS_KEY = 'ascii-converter:presets';
+        this.FILE_FORMAT = 'ascii-converter-presets';
+        this.FILE_VERSION = 1;
+        this.MAX_NAME_LENGTH = 60;
+    }
+
+    /**
+     * Get the settings saved at the end of the last session
+     * @returns {Object|null} Settings, or null when none were saved
+     */
+    loadLastSettings() {
+        const settings = this.read(this.LAST_SETTINGS_KEY);
+        return settings && typeof settings === 'object' ? settings : null;
+    }
+
+    /**
+     * Remember the current settings for the next visit
+     * @param {Object} settings - Settings from UIController.getSettings
+     */
+    saveLastSettings(settings) {
+        this.write(this.LAST_SETTINGS_KEY, settings);
+    }
+
+    /**
+     * Get all saved presets
+     * @returns {Object[]} Presets [{ name, settings }] sorted by name
+     */
+    getPresets() {
+        const presets = this.read(this.PRESETS_KEY);
+        return Array.isArray(presets) ? presets.filter(preset => this.isValidPreset(preset)) : [];
+    }
+
+    /**
+     * Find a preset by name
+     * @param {string} name - Preset name
+     * @returns {Object|null} Preset { name, settings }
+     */
+    getPreset(name) {
+        return this.getPresets().find(preset => preset.name === name) || null;
+    }
+
+    /**
+     * Save settings under a name, replacing any preset with that name
+     * @param {string} name - Preset name
+     * @param {Object} settings - Settings from UIController.getSettings
+     * @returns {string} The cleaned-up name the preset was saved under
+     */
+    savePreset(name, settings) {
+        name = this.validateName(name);
+
+        const presets = this.getPresets().filter(preset => preset.name !== name);
+        presets.push({ name, settings });
+        this.writePresets(presets);
+
+        return name;
+    }
+
+    /**
+     * Rename a preset
+     * @param {string} oldName - Current name
+     * @param {string} newName - New name
+     * @returns {string} The cleaned-up new name
+     */
+    renamePreset(oldName, newName) {
+        newName = this.validateName(newName);
+
+        const presets = this.getPresets();
+        const preset = presets.find(p => p.name === oldName);
+        if (!preset) {
+            throw new Error(`Preset "${oldName}" no longer exists.`);
+        }
+        if (newName !== oldName && presets.some(p => p.name === newName)) {
+            throw new Error(`A preset named "${newName}" already exists.`);
+        }
+
+        preset.name = newName;
+        this.writePresets(presets);
+
+        return newName;
+    }
+
+    /**
+     * Delete a preset
+     * @param {string} name - Preset name
+     */
+    deletePreset(name) {
+        this.writePresets(this.getPresets().filter(preset => preset.name !== name));
+    }
+
+    /**
+     * Serialize all presets for sharing
+     * @returns {string} JSON file contents
+     */
+    exportPresets() {
+        return JSON.stringify({
+            format: this.FILE_FORMAT,
+            version: this.FILE_VERSION,
+            presets: this.getPresets()
+        }, null, 2);
+    }
+
+    /**
+     * Add presets from an exported file, replacing presets with the same names
+     * @param {string} text - JSON file contents
+     * @returns {string[]} Names of the imported presets
+     */
+    importPresets(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This file is not valid JSON.');
+        }
+
+        if (!data || data.format !== this.FILE_FORMAT || !Array.isArray(data.presets)) {
+            throw new Error('This file does not contain ASCII converter presets.');
+        }
+        if (data.version > this.FILE_VERSION) {
+            throw new Error('These presets were saved by a newer version of the converter.');
+        }
+
+        const imported = data.presets.filter(preset => this.isValidPreset(preset));
+        if (imported.length === 0) {
+            throw new Error('The file contains no usable presets.');
+        }
+
+        const names = imported.map(preset => this.validateName(preset.name));
+        const presets = this.getPresets().filter(preset => !names.includes(preset.name));
+        imported.forEach((preset, index) => presets.push({ name: names[index], settings: preset.settings }));
+        this.writePresets(presets);
+
+        return names;
+    }
+
+    /**
+     * Check the shape of a stored or imported preset
+     * @param {*} preset - Candidate preset
+     * @returns {boolean} Whether it has a name and a settings object
+     */
+    isValidPreset(preset) {
+        return !!preset
+            && typeof preset.name === 'string'
+            && preset.name.trim() !== ''
+            && !!preset.settings
+            && typeof preset.settings === 'object'
+            && !Array.isArray(preset.settings);
+    }
+
+    /**
+     * Trim and check a preset name
+     * @param {string} name - Entered name
+     * @returns {string} Trimmed name
+     */
+    validateName(name) {
+        const trimmed = (name || '').trim();
+
+        if (!trimmed) {
+            throw new Error('Enter a name for the preset.');
+        }
+        if (trimmed.length > this.MAX_NAME_LENGTH) {
+            throw new Error(`Preset names can be at most ${this.MAX_NAME_LENGTH} characters.`);
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Store presets sorted by name
+     * @param {Object[]} presets - Presets [{ name, settings }]
+     */
+    writePresets(presets) {
+        presets.sort((a, b) => a.name.localeCompare(b.name));
+
+        if (!this.write(this.PRESETS_KEY, presets)) {
+            throw new Error('Presets could not be saved. Browser storage may be full or disabled.');
+        }
+    }
+
+    /**
+     * Read a JSON value from localStorage
+     * @param {string} key - Storage key
+     * @returns {*} Parsed value, or null when missing, unreadable or storage is unavailable
+     */
+    read(key) {
+        try {
+            const text = localStorage.getItem(key);
+            return text === null ? null : JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Write a JSON value to localStorage
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @returns {boolean} Whether the value was stored
+     */
+    write(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            // Private browsing or a full quota; settings still work for this session
+            return false;
+        }
+    }
+}
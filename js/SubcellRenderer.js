@@ -0,0 +1,227 @@
+/**
+ * SubcellRenderer - Packs several samples into one Unicode character cell
+ * Supports half-blocks (1x2), quadrant blocks (2x2) and Braille patterns (2x4)
+ */
+export class SubcellRenderer {
+    constructor() {
+        // Samples per cell for each mode
+        this.LAYOUTS = {
+            halfblock: { cols: 1, rows: 2 },
+            quadrant: { cols: 2, rows: 2 },
+            braille: { cols: 2, rows: 4 }
+        };
+
+        // Half-block glyphs indexed by bit mask (top = 1, bottom = 2)
+        this.HALF_BLOCK_CHARS = [' ', '▀', '▄', '█'];
+
+        // Quadrant glyphs indexed by bit mask (TL = 1, TR = 2, BL = 4, BR = 8)
+        this.QUADRANT_CHARS = [' ', '▘', '▝', '▀', '▖', '▌', '▞', '▛', '▗', '▚', '▐', '▜', '▄', '▙', '▟', '█'];
+
+        // Braille dot bit for each sample position, row-major over the 2x4 matrix
+        this.BRAILLE_BITS = [0x01, 0x08, 0x02, 0x10, 0x04, 0x20, 0x40, 0x80];
+        this.BRAILLE_BASE = 0x2800;
+
+        // Samples below this alpha are treated as transparent
+        this.TRANSPARENT_ALPHA = 25;
+    }
+
+    /**
+     * Check whether a render mode is a sub-cell mode
+     * @param {string} mode - Render mode
+     * @returns {boolean} True for sub-cell modes
+     */
+    isSubcellMode(mode) {
+        return Object.prototype.hasOwnProperty.call(this.LAYOUTS, mode);
+    }
+
+    /**
+     * Get the sample layout of a mode
+     * @param {string} mode - Sub-cell render mode
+     * @returns {Object} Samples per cell as { cols, rows }
+     */
+    getLayout(mode) {
+        return this.LAYOUTS[mode];
+    }
+
+    /**
+     * Build one cell from its samples
+     * @param {string} mode - Sub-cell render mode
+     * @param {Object[]} samples - Samples ({ r, g, b, a, luminance }) in row-major order
+     * @param {boolean[]} [dots] - Lit samples; required for braille mode, and turns
+     *     half-block and quadrant cells into two-tone ink on paper
+     * @returns {Object} Cell with char, color, background and luminance
+     */
+    renderCell(mode, samples, dots = null) {
+        switch (mode) {
+            case 'halfblock':
+                return dots ? this.renderInkMask(samples, dots, this.HALF_BLOCK_CHARS) : this.renderHalfBlock(samples);
+            case 'quadrant':
+                return dots ? this.renderInkMask(samples, dots, this.QUADRANT_CHARS) : this.renderQuadrant(samples);
+            case 'braille':
+                return this.renderBraille(samples, dots);
+            default:
+                throw new Error(`Unknown sub-cell mode: ${mode}`);
+        }
+    }
+
+    /**
+     * Upper half block with the top sample as ink and the bottom as background
+     */
+    renderHalfBlock([top, bottom]) {
+        const topVisible = top.a >= this.TRANSPARENT_ALPHA;
+        const bottomVisible = bottom.a >= this.TRANSPARENT_ALPHA;
+        const luminance = (top.luminance + bottom.luminance) / 2;
+
+        if (!topVisible && !bottomVisible) {
+            return this.createCell(' ', this.averageColor([top, bottom]), null, luminance);
+        }
+        if (!bottomVisible) {
+            return this.createCell('▀', top, null, luminance);
+        }
+        if (!topVisible) {
+            return this.createCell('▄', bottom, null, luminance);
+        }
+        if (this.sameColor(top, bottom)) {
+            return this.createCell('█', top, null, luminance);
+        }
+
+        return this.createCell('▀', top, bottom, luminance);
+    }
+
+    /**
+     * Quadrant block splitting the 2x2 samples into a bright and a dark group
+     */
+    renderQuadrant(samples) {
+        const visible = samples.filter(sample => sample.a >= this.TRANSPARENT_ALPHA);
+        const luminance = this.averageLuminance(samples);
+
+        if (visible.length === 0) {
+            return this.createCell(' ', this.averageColor(samples), null, luminance);
+        }
+
+        // Transparent samples become the background; otherwise split at mean luminance
+        const hasTransparency = visible.length < samples.length;
+        const threshold = this.averageLuminance(visible);
+        let mask = 0;
+
+        samples.forEach((sample, index) => {
+            const inked = hasTransparency
+                ? sample.a >= this.TRANSPARENT_ALPHA
+                : sample.luminance >= threshold;
+            if (inked) mask |= 1 << index;
+        });
+
+        // Uniform cells have no bright group; draw them solid
+        if (mask === 0) mask = 15;
+
+        const ink = samples.filter((sample, index) => mask & (1 << index));
+        const paper = samples.filter((sample, index) => !(mask & (1 << index)));
+        const background = hasTransparency || paper.length === 0 ? null : this.averageColor(paper);
+
+        return this.createCell(this.QUADRANT_CHARS[mask], this.averageColor(ink), background, luminance);
+    }
+
+    /**
+     * Block glyph covering exactly the lit samples, with no background
+     * @param {Object[]} samples - Samples in row-major order
+     * @param {boolean[]} dots - Lit samples
+     * @param {string[]} chars - Glyphs indexed by bit mask, one bit per sample
+     * @returns {Object} Cell with char, color, background and luminance
+     */
+    renderInkMask(samples, dots, chars) {
+        let mask = 0;
+        const lit = [];
+
+        samples.forEach((sample, index) => {
+            if (dots[index] && sample.a >= this.TRANSPARENT_ALPHA) {
+                mask |= 1 << index;
+                lit.push(sample);
+            }
+        });
+
+        const color = this.averageColor(lit.length > 0 ? lit : samples);
+        if (lit.length === 0) color.a = 0;
+
+        return this.createCell(chars[mask], color, null, this.averageLuminance(samples));
+    }
+
+    /**
+     * Braille pattern with one dot per lit sample
+     */
+    renderBraille(samples, dots) {
+        let bits = 0;
+        const lit = [];
+
+        samples.forEach((sample, index) => {
+            if (dots[index] && sample.a >= this.TRANSPARENT_ALPHA) {
+                bits |= this.BRAILLE_BITS[index];
+                lit.push(sample);
+            }
+        });
+
+        const color = this.averageColor(lit.length > 0 ? lit : samples);
+        if (lit.length === 0) color.a = 0;
+
+        return this.createCell(
+            String.fromCodePoint(this.BRAILLE_BASE + bits),
+            color,
+            null,
+            this.averageLuminance(samples)
+        );
+    }
+
+    /**
+     * Create a grid cell object
+     */
+    createCell(char, color, background, luminance) {
+        return {
+            char,
+            r: color.r,
+            g: color.g,
+            b: color.b,
+            a: color.a,
+            background: background
+                ? { r: background.r, g: background.g, b: background.b, a: background.a }
+                : null,
+            luminance
+        };
+    }
+
+    /**
+     * Average the colors of several samples
+     * @param {Object[]} samples - Samples with r, g, b, a
+     * @returns {Object} Averaged color
+     */
+    averageColor(samples) {
+        const total = { r: 0, g: 0, b: 0, a: 0 };
+
+        for (const sample of samples) {
+            total.r += sample.r;
+            total.g += sample.g;
+            total.b += sample.b;
+            total.a += sample.a;
+        }
+
+        const count = Math.max(1, samples.length);
+        return {
+            r: Math.round(total.r / count),
+            g: Math.round(total.g / count),
+            b: Math.round(total.b / count),
+            a: Math.round(total.a / count)
+        };
+    }
+
+    /**
+     * Average the luminance of several samples
+     */
+    averageLuminance(samples) {
+        return samples.reduce((sum, sample) => sum + sample.luminance, 0) / Math.max(1, samples.length);
+    }
+
+    /**
+     * Check whether two samples have the same color
+     */
+    sameColor(first, second) {
+        return first.r === second.r && first.g === second.g && first.b === second.b && first.a === second.a;
+    }
+}
@@ -2,11 +2,66 @@
  * UIController - Handles DOM manipulation and user interactions
  * Follows Single Responsibility Principle and Interface Segregation
  */
+import { GridRenderer } from './GridRenderer.js';
+import { CropSelector } from './CropSelector.js';
+import { PreviewNavigator } from './PreviewNavigator.js';
+import { ConversionSettings } from './ConversionSettings.js';
+
 export class UIController {
     constructor() {
+        this.gridRenderer = new GridRenderer();
+        this.cropSelector = new CropSelector();
+        this.conversionSettings = new ConversionSettings();
         this.elements = this.initializeElements();
+        this.navigator = new PreviewNavigator(this.elements.asciiPreview, {
+            container: this.elements.previewMinimap,
+            canvas: this.elements.minimapCanvas,
+            viewport: this.elements.minimapViewport
+        }, this.elements.zoomLevel);
         this.currentImage = null;
         this.asciiResult = null;
+        this.displayedGrid = null;
+        this.historyThumbnailUrls = [];
+        this.editing = false;
+        this.editCursor = null;
+        this.lastEditCell = null;
+
+        // Form controls saved with settings and presets, keyed by setting name
+        this.SETTINGS_CONTROLS = {
+            sizingMode: 'sizingModeSelect',
+            targetCols: 'targetColsInput',
+            targetRows: 'targetRowsInput',
+            scale: 'resolutionSelect',
+            videoFps: 'videoFpsSelect',
+            svgRasterSize: 'svgRasterSelect',
+            pixelSize: 'pixelSizeSlider',
+            renderMode: 'renderModeSelect',
+            edgeThreshold: 'edgeThresholdSlider',
+            edgeBlend: 'edgeBlendSlider',
+            brailleThreshold: 'brailleThresholdSlider',
+            rampPreset: 'rampSelect',
+            customRamp: 'customRampInput',
+            aspectMode: 'aspectModeSelect',
+            cellAspect: 'aspectSlider',
+            ditherMode: 'ditherSelect',
+            ditherSeed: 'ditherSeedInput',
+            colorMode: 'colorModeSelect',
+            inkColor: 'inkColorInput',
+            customPalette: 'customPaletteInput',
+            downloadQuality: 'downloadQualitySelect',
+            ansiDepth: 'ansiDepthSelect',
+            svgFontFamily: 'svgFontSelect',
+            svgBackgroundEnabled: 'svgBackgroundCheckbox',
+            svgBackground: 'svgBackgroundInput',
+            htmlTheme: 'htmlThemeSelect'
+        };
+
+        // Settings that change the conversion itself, as opposed to exports
+        this.PREVIEW_SETTINGS = [
+            'sizingMode', 'targetCols', 'targetRows', 'scale', 'pixelSize', 'renderMode',
+            'edgeThreshold', 'edgeBlend', 'brailleThreshold', 'rampPreset', 'customRamp',
+            'aspectMode', 'cellAspect', 'ditherMode', 'ditherSeed', 'colorMode', 'inkColor', 'customPalette'
+        ];
         
         // Check if camera elements exist and disable camera if not supported
         this.checkCameraSupport();
@@ -38,17 +93,136 @@ export class UIController {
             videoElement: document.getElementById('videoElement'),
             captureBtn: document.getElementById('captureBtn'),
             closeCameraBtn: document.getElementById('closeCameraBtn'),
+            liveBtn: document.getElementById('liveBtn'),
+            freezeBtn: document.getElementById('freezeBtn'),
+            liveStats: document.getElementById('liveStats'),
+            liveFps: document.getElementById('liveFps'),
+            liveDetail: document.getElementById('liveDetail'),
             generateBtn: document.getElementById('generateBtn'),
+            autoPreviewCheckbox: document.getElementById('autoPreviewCheckbox'),
+            cancelBtn: document.getElementById('cancelBtn'),
+            editToggleBtn: document.getElementById('editToggleBtn'),
+            editorTools: document.getElementById('editorTools'),
+            editorToolButtons: document.querySelectorAll('[data-editor-tool]'),
+            editorCharInput: document.getElementById('editorCharInput'),
+            editorColorInput: document.getElementById('editorColorInput'),
+            undoBtn: document.getElementById('undoBtn'),
+            redoBtn: document.getElementById('redoBtn'),
+            historyUsage: document.getElementById('historyUsage'),
+            historyGallery: document.getElementById('historyGallery'),
+            historyCompare: document.getElementById('historyCompare'),
+            compareTitleCurrent: document.getElementById('compareTitleCurrent'),
+            compareViewCurrent: document.getElementById('compareViewCurrent'),
+            compareTitleHistory: document.getElementById('compareTitleHistory'),
+            compareViewHistory: document.getElementById('compareViewHistory'),
+            closeCompareBtn: document.getElementById('closeCompareBtn'),
+            clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+            presetSelect: document.getElementById('presetSelect'),
+            presetNameInput: document.getElementById('presetNameInput'),
+            presetSaveBtn: document.getElementById('presetSaveBtn'),
+            presetRenameBtn: document.getElementById('presetRenameBtn'),
+            presetDeleteBtn: document.getElementById('presetDeleteBtn'),
+            presetExportBtn: document.getElementById('presetExportBtn'),
+            presetImportBtn: document.getElementById('presetImportBtn'),
+            presetFileInput: document.getElementById('presetFileInput'),
+            cropControls: document.getElementById('cropControls'),
+            cropAspectSelect: document.getElementById('cropAspectSelect'),
+            rotateLeftBtn: document.getElementById('rotateLeftBtn'),
+            rotateRightBtn: document.getElementById('rotateRightBtn'),
+            flipHBtn: document.getElementById('flipHBtn'),
+            flipVBtn: document.getElementById('flipVBtn'),
+            resetCropBtn: document.getElementById('resetCropBtn'),
+            sizingModeSelect: document.getElementById('sizingModeSelect'),
+            gridSizeValue: document.getElementById('gridSizeValue'),
+            targetSizeControls: document.getElementById('targetSizeControls'),
+            targetColsInput: document.getElementById('targetColsInput'),
+            targetRowsInput: document.getElementById('targetRowsInput'),
+            resolutionGroup: document.getElementById('resolutionGroup'),
+            pixelSizeGroup: document.getElementById('pixelSizeGroup'),
             resolutionSelect: document.getElementById('resolutionSelect'),
+            videoFpsSelect: document.getElementById('videoFpsSelect'),
+            videoFpsValue: document.getElementById('videoFpsValue'),
+            svgRasterSelect: document.getElementById('svgRasterSelect'),
+            svgRasterValue: document.getElementById('svgRasterValue'),
+            urlInput: document.getElementById('urlInput'),
+            urlLoadBtn: document.getElementById('urlLoadBtn'),
             resolutionValue: document.getElementById('resolutionValue'),
             pixelSizeSlider: document.getElementById('pixelSizeSlider'),
             pixelSizeValue: document.getElementById('pixelSizeValue'),
+            renderModeSelect: document.getElementById('renderModeSelect'),
+            renderModeValue: document.getElementById('renderModeValue'),
+            edgeControls: document.getElementById('edgeControls'),
+            edgeThresholdSlider: document.getElementById('edgeThresholdSlider'),
+            edgeThresholdValue: document.getElementById('edgeThresholdValue'),
+            edgeBlendSlider: document.getElementById('edgeBlendSlider'),
+            edgeBlendValue: document.getElementById('edgeBlendValue'),
+            brailleControls: document.getElementById('brailleControls'),
+            brailleThresholdSlider: document.getElementById('brailleThresholdSlider'),
+            brailleThresholdValue: document.getElementById('brailleThresholdValue'),
+            rampSelect: document.getElementById('rampSelect'),
+            rampValue: document.getElementById('rampValue'),
+            customRampInput: document.getElementById('customRampInput'),
+            aspectModeSelect: document.getElementById('aspectModeSelect'),
+            aspectSlider: document.getElementById('aspectSlider'),
+            aspectValue: document.getElementById('aspectValue'),
+            ditherSelect: document.getElementById('ditherSelect'),
+            ditherValue: document.getElementById('ditherValue'),
+            ditherSeedInput: document.getElementById('ditherSeedInput'),
+            colorModeSelect: document.getElementById('colorModeSelect'),
+            colorModeValue: document.getElementById('colorModeValue'),
+            inkColorInput: document.getElementById('inkColorInput'),
+            customPaletteInput: document.getElementById('customPaletteInput'),
             downloadQualitySelect: document.getElementById('downloadQualitySelect'),
             downloadQualityValue: document.getElementById('downloadQualityValue'),
             originalPreview: document.getElementById('originalPreview'),
+            animationInfo: document.getElementById('animationInfo'),
+            animationFrameCount: document.getElementById('animationFrameCount'),
+            animationDuration: document.getElementById('animationDuration'),
+            animationSize: document.getElementById('animationSize'),
+            animationTruncated: document.getElementById('animationTruncated'),
+            playbackControls: document.getElementById('playbackControls'),
+            playPauseBtn: document.getElementById('playPauseBtn'),
+            frameScrubber: document.getElementById('frameScrubber'),
+            frameCounter: document.getElementById('frameCounter'),
+            animationExportSection: document.getElementById('animationExportSection'),
+            downloadGIFBtn: document.getElementById('downloadGIFBtn'),
+            downloadWebMBtn: document.getElementById('downloadWebMBtn'),
+            downloadFramesBtn: document.getElementById('downloadFramesBtn'),
+            recordBtn: document.getElementById('recordBtn'),
+            batchAddBtn: document.getElementById('batchAddBtn'),
+            batchClearBtn: document.getElementById('batchClearBtn'),
+            batchFileInput: document.getElementById('batchFileInput'),
+            batchQueue: document.getElementById('batchQueue'),
+            batchFormatInputs: document.querySelectorAll('[data-batch-format]'),
+            batchRunBtn: document.getElementById('batchRunBtn'),
+            batchCancelBtn: document.getElementById('batchCancelBtn'),
+            adjustPreviewCanvas: document.getElementById('adjustPreviewCanvas'),
+            adjustmentInputs: document.querySelectorAll('[data-adjustment]'),
+            resetAdjustmentsBtn: document.getElementById('resetAdjustmentsBtn'),
             asciiPreview: document.getElementById('asciiPreview'),
+            zoomControls: document.getElementById('zoomControls'),
+            zoomOutBtn: document.getElementById('zoomOutBtn'),
+            zoomInBtn: document.getElementById('zoomInBtn'),
+            zoomLevel: document.getElementById('zoomLevel'),
+            fitWidthBtn: document.getElementById('fitWidthBtn'),
+            fitHeightBtn: document.getElementById('fitHeightBtn'),
+            actualSizeBtn: document.getElementById('actualSizeBtn'),
+            hoverReadout: document.getElementById('hoverReadout'),
+            previewMinimap: document.getElementById('previewMinimap'),
+            minimapCanvas: document.getElementById('minimapCanvas'),
+            minimapViewport: document.getElementById('minimapViewport'),
             copyTextBtn: document.getElementById('copyTextBtn'),
-            downloadImageBtn: document.getElementById('downloadImageBtn')
+            downloadImageBtn: document.getElementById('downloadImageBtn'),
+            ansiDepthSelect: document.getElementById('ansiDepthSelect'),
+            ansiDepthValue: document.getElementById('ansiDepthValue'),
+            copyANSIBtn: document.getElementById('copyANSIBtn'),
+            downloadANSIBtn: document.getElementById('downloadANSIBtn'),
+            svgFontSelect: document.getElementById('svgFontSelect'),
+            svgBackgroundCheckbox: document.getElementById('svgBackgroundCheckbox'),
+            svgBackgroundInput: document.getElementById('svgBackgroundInput'),
+            downloadSVGBtn: document.getElementById('downloadSVGBtn'),
+            htmlThemeSelect: document.getElementById('htmlThemeSelect'),
+            downloadHTMLBtn: document.getElementById('downloadHTMLBtn')
         };
     }
 
@@ -63,30 +237,487 @@ export class UIController {
         
         this.elements.fileInput.addEventListener('change', callbacks.onFileUpload);
         
+        // URL, drag-and-drop and paste input
+        this.elements.urlLoadBtn.addEventListener('click', () => {
+            callbacks.onUrlLoad(this.elements.urlInput.value.trim());
+        });
+        this.elements.urlInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                callbacks.onUrlLoad(this.elements.urlInput.value.trim());
+            }
+        });
+        this.setupFileDrop(callbacks.onFilesDropped);
+        
+        // Batch queue
+        this.elements.batchAddBtn.addEventListener('click', () => {
+            this.elements.batchFileInput.click();
+        });
+        this.elements.batchFileInput.addEventListener('change', () => {
+            callbacks.onBatchAdd([...this.elements.batchFileInput.files]);
+            this.elements.batchFileInput.value = '';
+        });
+        this.elements.batchClearBtn.addEventListener('click', callbacks.onBatchClear);
+        this.elements.batchRunBtn.addEventListener('click', callbacks.onBatchRun);
+        this.elements.batchCancelBtn.addEventListener('click', callbacks.onBatchCancel);
+        document.addEventListener('paste', (e) => {
+            const file = this.getPastedFile(e);
+            if (file) {
+                e.preventDefault();
+                callbacks.onPaste(file);
+            }
+        });
+        
         // Camera event listeners
         this.elements.cameraBtn.addEventListener('click', callbacks.onCameraOpen);
         this.elements.captureBtn.addEventListener('click', callbacks.onCapture);
         this.elements.closeCameraBtn.addEventListener('click', callbacks.onCameraClose);
+        this.elements.liveBtn.addEventListener('click', callbacks.onLiveToggle);
+        this.elements.freezeBtn.addEventListener('click', callbacks.onFreezeFrame);
+        this.elements.recordBtn.addEventListener('click', callbacks.onRecordToggle);
         
         this.elements.generateBtn.addEventListener('click', callbacks.onGenerate);
+        this.elements.cancelBtn.addEventListener('click', callbacks.onCancel);
         this.elements.copyTextBtn.addEventListener('click', callbacks.onCopy);
         this.elements.downloadImageBtn.addEventListener('click', callbacks.onDownload);
+        this.elements.copyANSIBtn.addEventListener('click', callbacks.onCopyANSI);
+        this.elements.downloadANSIBtn.addEventListener('click', callbacks.onDownloadANSI);
+        this.elements.downloadSVGBtn.addEventListener('click', callbacks.onDownloadSVG);
+        this.elements.downloadHTMLBtn.addEventListener('click', callbacks.onDownloadHTML);
+        this.elements.downloadGIFBtn.addEventListener('click', callbacks.onDownloadGIF);
+        this.elements.downloadWebMBtn.addEventListener('click', callbacks.onDownloadWebM);
+        this.elements.downloadFramesBtn.addEventListener('click', callbacks.onDownloadFrames);
+        
+        this.setupEditorEvents(callbacks);
+        this.setupNavigatorEvents();
+        
+        // History gallery
+        this.elements.historyGallery.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const id = parseInt(button.closest('.history-item').dataset.id);
+            const actions = {
+                open: callbacks.onHistoryOpen,
+                compare: callbacks.onHistoryCompare,
+                delete: callbacks.onHistoryDelete
+            };
+            actions[button.dataset.action](id);
+        });
+        this.elements.closeCompareBtn.addEventListener('click', () => this.hideComparison());
+        this.elements.clearHistoryBtn.addEventListener('click', callbacks.onHistoryClear);
+        
+        // Presets
+        this.elements.presetSelect.addEventListener('change', (e) => {
+            const name = e.target.value;
+            this.updatePresetButtons();
+            if (name) {
+                this.elements.presetNameInput.value = name;
+                callbacks.onPresetApply(name);
+            }
+        });
+        this.elements.presetSaveBtn.addEventListener('click', () => {
+            callbacks.onPresetSave(this.elements.presetNameInput.value);
+        });
+        this.elements.presetRenameBtn.addEventListener('click', () => {
+            callbacks.onPresetRename(this.elements.presetSelect.value, this.elements.presetNameInput.value);
+        });
+        this.elements.presetDeleteBtn.addEventListener('click', () => {
+            callbacks.onPresetDelete(this.elements.presetSelect.value);
+        });
+        this.elements.presetExportBtn.addEventListener('click', callbacks.onPresetExport);
+        this.elements.presetImportBtn.addEventListener('click', () => {
+            this.elements.presetFileInput.click();
+        });
+        this.elements.presetFileInput.addEventListener('change', () => {
+            const file = this.elements.presetFileInput.files[0];
+            this.elements.presetFileInput.value = '';
+            if (file) {
+                callbacks.onPresetImport(file);
+            }
+        });
+        
+        // Remember settings whenever any saved control changes
+        this.getSettingsInputs().forEach(element => {
+            element.addEventListener('change', callbacks.onSettingsChange);
+        });
+        
+        // Conversion settings refresh the automatic preview
+        [
+            ...this.PREVIEW_SETTINGS.map(name => this.elements[this.SETTINGS_CONTROLS[name]]),
+            ...this.elements.adjustmentInputs
+        ].forEach(element => element.addEventListener('input', callbacks.onPreviewSettingsChange));
+        this.elements.autoPreviewCheckbox.addEventListener('change', callbacks.onPreviewSettingsChange);
+        
+        // Crop and orientation
+        this.cropSelector.onChange = callbacks.onCropChange;
+        this.elements.cropAspectSelect.addEventListener('change', callbacks.onCropAspectChange);
+        this.elements.rotateLeftBtn.addEventListener('click', () => callbacks.onRotate(-90));
+        this.elements.rotateRightBtn.addEventListener('click', () => callbacks.onRotate(90));
+        this.elements.flipHBtn.addEventListener('click', () => callbacks.onFlip('flipH'));
+        this.elements.flipVBtn.addEventListener('click', () => callbacks.onFlip('flipV'));
+        this.elements.resetCropBtn.addEventListener('click', callbacks.onCropReset);
         
         this.elements.resolutionSelect.addEventListener('change', (e) => {
             this.elements.resolutionValue.textContent = e.target.value + 'x';
         });
         
+        this.elements.sizingModeSelect.addEventListener('change', () => {
+            this.updateSizingDisplay();
+        });
+        
+        // Every setting that changes the output grid refreshes the size readout
+        [
+            this.elements.sizingModeSelect,
+            this.elements.targetColsInput,
+            this.elements.targetRowsInput,
+            this.elements.resolutionSelect,
+            this.elements.pixelSizeSlider,
+            this.elements.renderModeSelect,
+            this.elements.aspectModeSelect,
+            this.elements.aspectSlider
+        ].forEach(element => element.addEventListener('input', callbacks.onSizingChange));
+        
+        this.elements.videoFpsSelect.addEventListener('change', (e) => {
+            this.elements.videoFpsValue.textContent = e.target.value + ' fps';
+            callbacks.onVideoFpsChange();
+        });
+        
+        this.elements.svgRasterSelect.addEventListener('change', (e) => {
+            this.elements.svgRasterValue.textContent = e.target.value + 'px';
+            callbacks.onSvgSizeChange();
+        });
+        
+        this.elements.playPauseBtn.addEventListener('click', callbacks.onPlayPause);
+        this.elements.frameScrubber.addEventListener('input', (e) => {
+            callbacks.onScrub(parseInt(e.target.value));
+        });
+        
         this.elements.pixelSizeSlider.addEventListener('input', (e) => {
             this.updatePixelSizeDisplay(parseInt(e.target.value));
         });
         
+        this.elements.renderModeSelect.addEventListener('change', () => {
+            this.updateRenderModeDisplay();
+        });
+        
+        this.elements.edgeThresholdSlider.addEventListener('input', (e) => {
+            this.elements.edgeThresholdValue.textContent = e.target.value;
+        });
+        
+        this.elements.edgeBlendSlider.addEventListener('input', (e) => {
+            this.elements.edgeBlendValue.textContent = e.target.value;
+        });
+        
+        this.elements.brailleThresholdSlider.addEventListener('input', (e) => {
+            this.elements.brailleThresholdValue.textContent = e.target.value;
+        });
+        
+        this.elements.rampSelect.addEventListener('change', () => {
+            this.updateRampDisplay();
+        });
+        
+        this.elements.aspectModeSelect.addEventListener('change', () => {
+            this.updateAspectDisplay();
+        });
+        
+        this.elements.aspectSlider.addEventListener('input', () => {
+            this.updateAspectDisplay();
+        });
+        
+        this.elements.ditherSelect.addEventListener('change', () => {
+            this.updateDitherDisplay();
+        });
+        
+        this.elements.colorModeSelect.addEventListener('change', () => {
+            this.updateColorModeDisplay();
+        });
+        
         this.elements.downloadQualitySelect.addEventListener('change', (e) => {
             this.updateDownloadQualityDisplay(parseInt(e.target.value));
         });
         
+        this.elements.ansiDepthSelect.addEventListener('change', (e) => {
+            this.elements.ansiDepthValue.textContent = e.target.options[e.target.selectedIndex].text;
+        });
+        
+        this.elements.adjustmentInputs.forEach(input => {
+            input.addEventListener('input', () => {
+                this.updateAdjustmentDisplay(input);
+                callbacks.onAdjustmentsChange();
+            });
+        });
+        
+        this.elements.resetAdjustmentsBtn.addEventListener('click', callbacks.onResetAdjustments);
+        
         window.addEventListener('resize', callbacks.onResize);
     }
 
+    /**
+     * Wire the result editor toolbar, pointer and keyboard input
+     * @param {Object} callbacks - Event callbacks
+     */
+    setupEditorEvents(callbacks) {
+        const preview = this.elements.asciiPreview;
+
+        this.elements.editToggleBtn.addEventListener('click', () => {
+            this.setEditMode(!this.editing);
+            callbacks.onEditToggle(this.editing);
+        });
+
+        this.elements.editorToolButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.elements.editorToolButtons.forEach(b => b.classList.toggle('active', b === button));
+                callbacks.onEditorToolChange(button.dataset.editorTool);
+            });
+        });
+
+        [this.elements.editorCharInput, this.elements.editorColorInput].forEach(input => {
+            input.addEventListener('input', () => callbacks.onBrushChange(this.getEditorBrush()));
+        });
+
+        this.elements.undoBtn.addEventListener('click', callbacks.onUndo);
+        this.elements.redoBtn.addEventListener('click', callbacks.onRedo);
+
+        preview.addEventListener('pointerdown', (e) => {
+            if (!this.editing || e.button !== 0) return;
+
+            const cell = this.getCellAt(e.clientX, e.clientY);
+            if (!cell) return;
+
+            e.preventDefault();
+            preview.setPointerCapture(e.pointerId);
+            this.lastEditCell = cell;
+            callbacks.onEditPointer('down', cell.col, cell.row);
+        });
+
+        preview.addEventListener('pointermove', (e) => {
+            if (!this.lastEditCell) return;
+
+            const cell = this.getCellAt(e.clientX, e.clientY);
+            if (!cell || (cell.col === this.lastEditCell.col && cell.row === this.lastEditCell.row)) return;
+
+            this.lastEditCell = cell;
+            callbacks.onEditPointer('move', cell.col, cell.row);
+        });
+
+        const endStroke = () => {
+            if (!this.lastEditCell) return;
+
+            // Release outside the grid finishes on the last cell reached
+            const { col, row } = this.lastEditCell;
+            this.lastEditCell = null;
+            callbacks.onEditPointer('up', col, row);
+        };
+        preview.addEventListener('pointerup', endStroke);
+        preview.addEventListener('pointercancel', endStroke);
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.editing || e.target.closest('input, select, textarea')) return;
+
+            const key = e.key.toLowerCase();
+            if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+                e.preventDefault();
+                if (key === 'y' || e.shiftKey) {
+                    callbacks.onRedo();
+                } else {
+                    callbacks.onUndo();
+                }
+                return;
+            }
+
+            if (!e.ctrlKey && !e.metaKey && !e.altKey && callbacks.onEditKey(e.key)) {
+                e.preventDefault();
+            }
+        });
+    }
+
+    /**
+     * Wire the zoom buttons and the hover readout
+     */
+    setupNavigatorEvents() {
+        const preview = this.elements.asciiPreview;
+
+        this.elements.zoomOutBtn.addEventListener('click', () => this.navigator.zoomStep(-1));
+        this.elements.zoomInBtn.addEventListener('click', () => this.navigator.zoomStep(1));
+        this.elements.fitWidthBtn.addEventListener('click', () => this.navigator.fit('width'));
+        this.elements.fitHeightBtn.addEventListener('click', () => this.navigator.fit('height'));
+        this.elements.actualSizeBtn.addEventListener('click', () => this.navigator.showActualSize());
+
+        preview.addEventListener('pointermove', (e) => {
+            const cell = this.displayedGrid && this.getCellAt(e.clientX, e.clientY);
+            this.showHoverReadout(cell);
+        });
+        preview.addEventListener('pointerleave', () => this.showHoverReadout(null));
+    }
+
+    /**
+     * Describe the cell under the pointer
+     * @param {Object|null} cell - { col, row }, or null when not over the grid
+     */
+    showHoverReadout(cell) {
+        const grid = this.displayedGrid;
+        if (!cell || !grid || cell.col >= grid.cols || cell.row >= grid.rows) {
+            this.elements.hoverReadout.innerHTML = '&nbsp;';
+            return;
+        }
+
+        const { char, r, g, b, a } = grid.getCell(cell.col, cell.row);
+        const color = a < this.gridRenderer.TRANSPARENT_ALPHA
+            ? 'transparent'
+            : '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+
+        this.elements.hoverReadout.textContent =
+            `ROW ${cell.row + 1} COL ${cell.col + 1}  '${char}'  ${color}`;
+    }
+
+    /**
+     * Turn result editing on or off
+     * @param {boolean} editing - Whether the result can be edited
+     */
+    setEditMode(editing) {
+        this.editing = editing;
+        this.navigator.editing = editing;
+        this.lastEditCell = null;
+        this.elements.editToggleBtn.textContent = editing ? 'DONE' : 'EDIT';
+        this.elements.editorTools.hidden = !editing;
+        this.elements.asciiPreview.classList.toggle('editing', editing);
+
+        if (!editing) {
+            this.setEditCursor(null);
+            this.showEditSelection(null);
+        }
+    }
+
+    /**
+     * Find the grid cell under a screen position
+     * @param {number} x - Client X
+     * @param {number} y - Client Y
+     * @returns {Object|null} { col, row }, or null outside the grid
+     */
+    getCellAt(x, y) {
+        const target = document.elementFromPoint(x, y);
+        const span = target && target.closest('#asciiPreview > div > span');
+        if (!span) return null;
+
+        const rowElement = span.parentElement;
+        return {
+            col: Array.prototype.indexOf.call(rowElement.children, span),
+            row: Array.prototype.indexOf.call(this.elements.asciiPreview.children, rowElement)
+        };
+    }
+
+    /**
+     * Get the preview span of a cell
+     * @param {number} col - Column
+     * @param {number} row - Row
+     * @returns {HTMLElement|undefined} Cell element
+     */
+    getCellElement(col, row) {
+        const rowElement = this.elements.asciiPreview.children[row];
+        return rowElement && rowElement.children[col];
+    }
+
+    /**
+     * Redraw edited cells without rebuilding the whole preview
+     * @param {ASCIIGrid} grid - Edited grid
+     * @param {number[]} indices - Changed cell indices
+     */
+    updateASCIICells(grid, indices) {
+        for (const index of indices) {
+            const col = index % grid.cols;
+            const row = Math.floor(index / grid.cols);
+            const element = this.getCellElement(col, row);
+
+            if (element) {
+                element.outerHTML = this.gridRenderer.cellToHTML(grid, col, row);
+            }
+        }
+
+        this.setEditCursor(this.editCursor);
+        this.navigator.drawMinimap(grid, this.gridRenderer.TRANSPARENT_ALPHA);
+    }
+
+    /**
+     * Mark the text cursor cell
+     * @param {Object|null} cursor - { col, row }, or null to hide
+     */
+    setEditCursor(cursor) {
+        this.elements.asciiPreview.querySelectorAll('.edit-cursor').forEach(element => {
+            element.classList.remove('edit-cursor');
+        });
+
+        this.editCursor = cursor;
+        const element = cursor && this.getCellElement(cursor.col, cursor.row);
+        if (element) {
+            element.classList.add('edit-cursor');
+        }
+    }
+
+    /**
+     * Outline the rectangle being dragged with the fill tool
+     * @param {Object|null} rect - { col, row, cols, rows }, or null to hide
+     */
+    showEditSelection(rect) {
+        const preview = this.elements.asciiPreview;
+        let overlay = preview.querySelector('.edit-selection');
+
+        if (!rect) {
+            if (overlay) overlay.remove();
+            return;
+        }
+
+        const first = this.getCellElement(rect.col, rect.row);
+        const last = this.getCellElement(rect.col + rect.cols - 1, rect.row + rect.rows - 1);
+        if (!first || !last) return;
+
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'edit-selection';
+            preview.appendChild(overlay);
+        }
+
+        // Offsets are relative to the preview, which is positioned while editing
+        overlay.style.left = `${first.offsetLeft}px`;
+        overlay.style.top = `${first.offsetTop}px`;
+        overlay.style.width = `${last.offsetLeft + last.offsetWidth - first.offsetLeft}px`;
+        overlay.style.height = `${last.offsetTop + last.offsetHeight - first.offsetTop}px`;
+    }
+
+    /**
+     * Enable undo and redo as available
+     * @param {boolean} canUndo - Undo availability
+     * @param {boolean} canRedo - Redo availability
+     */
+    setUndoState(canUndo, canRedo) {
+        this.elements.undoBtn.disabled = !canUndo;
+        this.elements.redoBtn.disabled = !canRedo;
+    }
+
+    /**
+     * Read the brush character and color
+     * @returns {Object} { char, r, g, b }
+     */
+    getEditorBrush() {
+        const hex = this.elements.editorColorInput.value;
+        return {
+            char: [...this.elements.editorCharInput.value][0] || ' ',
+            r: parseInt(hex.slice(1, 3), 16),
+            g: parseInt(hex.slice(3, 5), 16),
+            b: parseInt(hex.slice(5, 7), 16)
+        };
+    }
+
+    /**
+     * Show a picked brush in the toolbar
+     * @param {Object} brush - { char, r, g, b }
+     */
+    setEditorBrush(brush) {
+        this.elements.editorCharInput.value = brush.char;
+        this.elements.editorColorInput.value = '#' + [brush.r, brush.g, brush.b]
+            .map(value => value.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
     /**
      * Update pixel size display
      */
@@ -98,6 +729,105 @@ export class UIController {
         this.elements.pixelSizeValue.textContent = `${pixelSize} ${description}`;
     }
 
+    /**
+     * Update render mode display and show mode-specific controls
+     */
+    updateRenderModeDisplay() {
+        const select = this.elements.renderModeSelect;
+        this.elements.renderModeValue.textContent = select.options[select.selectedIndex].text;
+        this.elements.edgeControls.hidden = select.value !== 'edges';
+        this.elements.brailleControls.hidden = select.value !== 'braille';
+    }
+
+    /**
+     * Update ramp display and show the custom input when needed
+     */
+    updateRampDisplay() {
+        const select = this.elements.rampSelect;
+        this.elements.rampValue.textContent = select.options[select.selectedIndex].text;
+        this.elements.customRampInput.hidden = select.value !== 'custom';
+    }
+
+    /**
+     * Update character aspect display and show the manual slider when needed
+     */
+    updateAspectDisplay() {
+        const manual = this.elements.aspectModeSelect.value === 'manual';
+        this.elements.aspectSlider.hidden = !manual;
+        this.elements.aspectValue.textContent = manual
+            ? parseFloat(this.elements.aspectSlider.value).toFixed(2)
+            : 'Auto';
+    }
+
+    /**
+     * Update dithering display and show the seed input for noise mode
+     */
+    updateDitherDisplay() {
+        const select = this.elements.ditherSelect;
+        this.elements.ditherValue.textContent = select.options[select.selectedIndex].text;
+        this.elements.ditherSeedInput.hidden = select.value !== 'noise';
+    }
+
+    /**
+     * Update the value label of an adjustment slider
+     * @param {HTMLInputElement} input - Adjustment input
+     */
+    updateAdjustmentDisplay(input) {
+        if (input.type !== 'range') return;
+        const label = document.getElementById(`${input.dataset.adjustment}Value`);
+        if (label) label.textContent = input.value;
+    }
+
+    /**
+     * Get image adjustment settings
+     * @returns {Object} Adjustment settings keyed by data-adjustment name
+     */
+    getAdjustments() {
+        const adjustments = {};
+        this.elements.adjustmentInputs.forEach(input => {
+            adjustments[input.dataset.adjustment] = input.type === 'checkbox'
+                ? input.checked
+                : parseFloat(input.value);
+        });
+        return adjustments;
+    }
+
+    /**
+     * Reset all adjustment inputs to their defaults
+     */
+    resetAdjustments() {
+        this.elements.adjustmentInputs.forEach(input => {
+            if (input.type === 'checkbox') {
+                input.checked = input.defaultChecked;
+            } else {
+                input.value = input.defaultValue;
+                this.updateAdjustmentDisplay(input);
+            }
+        });
+    }
+
+    /**
+     * Draw the adjusted thumbnail preview
+     * @param {ImageData} imageData - Adjusted thumbnail
+     */
+    drawAdjustmentPreview(imageData) {
+        const canvas = this.elements.adjustPreviewCanvas;
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+        canvas.hidden = false;
+    }
+
+    /**
+     * Update color mode display and show the ink or palette input when needed
+     */
+    updateColorModeDisplay() {
+        const select = this.elements.colorModeSelect;
+        this.elements.colorModeValue.textContent = select.options[select.selectedIndex].text;
+        this.elements.inkColorInput.hidden = select.value !== 'monochrome';
+        this.elements.customPaletteInput.hidden = select.value !== 'custom';
+    }
+
     /**
      * Update download quality display
      */
@@ -114,26 +844,132 @@ export class UIController {
         this.elements.downloadQualityValue.textContent = qualityText;
     }
 
+    /**
+     * Show the controls that apply to the chosen sizing mode
+     */
+    updateSizingDisplay() {
+        const mode = this.elements.sizingModeSelect.value;
+
+        this.elements.targetSizeControls.hidden = mode === 'scale';
+        this.elements.resolutionGroup.hidden = mode !== 'scale';
+        this.elements.pixelSizeGroup.hidden = mode !== 'scale';
+        this.elements.targetRowsInput.placeholder = mode === 'fit' ? 'rows' : 'auto';
+    }
+
+    /**
+     * Show the grid size the next conversion will produce
+     * @param {Object|null} grid - Predicted { cols, rows }, or null when unknown
+     */
+    updateGridSizeDisplay(grid) {
+        this.elements.gridSizeValue.textContent = grid ? `${grid.cols} x ${grid.rows} chars` : '-';
+    }
+
+    /**
+     * Lock the crop rectangle to an aspect ratio
+     * @param {number|null} aspect - Width / height in image pixels, or null for a free crop
+     */
+    setCropAspect(aspect) {
+        this.cropSelector.setAspect(aspect);
+    }
+
+    /**
+     * Switch sizing to an exact terminal grid
+     * @param {number} cols - Terminal columns
+     * @param {number} rows - Terminal rows
+     */
+    setTargetGrid(cols, rows) {
+        this.setControlValue(this.elements.sizingModeSelect, 'columns');
+        this.setControlValue(this.elements.targetColsInput, cols);
+        this.setControlValue(this.elements.targetRowsInput, rows);
+    }
+
     /**
      * Display uploaded image in preview
      * @param {HTMLImageElement} image - Image to display
      */
     displayImagePreview(image) {
         this.currentImage = image;
-        this.elements.originalPreview.innerHTML = '';
-        this.elements.originalPreview.appendChild(image);
+        this.showOriginalImage(image);
+        this.elements.cropControls.hidden = false;
+        this.elements.animationInfo.hidden = true;
+        this.hideAnimationControls();
         this.setGenerateButtonState(true);
         this.resetExportButtons();
         this.setASCIIPreviewState('ready');
     }
 
+    /**
+     * Put an already loaded image back into the original preview
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Image to show, already rotated and flipped
+     * @param {Object|null} [crop] - Crop rectangle to show, as fractions of the image
+     */
+    showOriginalImage(image, crop = null) {
+        this.elements.originalPreview.innerHTML = '';
+        this.cropSelector.attach(this.elements.originalPreview, image, crop);
+    }
+
+    /**
+     * Show a status message in place of the original image
+     * @param {string} message - Message text
+     */
+    showOriginalMessage(message) {
+        this.elements.originalPreview.innerHTML = `<p class="placeholder-text">${message}</p>`;
+    }
+
+    /**
+     * Show frame count, duration and size of a loaded animation
+     * @param {Object} animation - Animation { width, height, frames, truncated }
+     */
+    showAnimationInfo(animation) {
+        const duration = animation.frames.reduce((total, frame) => total + frame.delay, 0);
+
+        this.elements.animationFrameCount.textContent = animation.frames.length;
+        this.elements.animationDuration.textContent = `${(duration / 1000).toFixed(1)}s`;
+        this.elements.animationSize.textContent = `${animation.width} x ${animation.height}`;
+        this.elements.animationTruncated.hidden = !animation.truncated;
+        this.elements.animationInfo.hidden = false;
+    }
+
+    /**
+     * Show playback and animation export controls for a converted animation
+     * @param {number} frameCount - Number of frames
+     */
+    showAnimationControls(frameCount) {
+        this.elements.frameScrubber.max = frameCount - 1;
+        this.elements.playbackControls.hidden = false;
+        this.elements.animationExportSection.hidden = false;
+    }
+
+    /**
+     * Hide playback and animation export controls
+     */
+    hideAnimationControls() {
+        this.elements.playbackControls.hidden = true;
+        this.elements.animationExportSection.hidden = true;
+    }
+
+    /**
+     * Show an animation frame and sync the playback controls
+     * @param {ASCIIGrid} grid - Frame grid
+     * @param {number} index - Frame index
+     * @param {number} frameCount - Number of frames
+     * @param {boolean} playing - Whether playback is running
+     */
+    displayAnimationFrame(grid, index, frameCount, playing) {
+        this.showGrid(grid);
+        this.elements.frameScrubber.value = index;
+        this.elements.frameCounter.textContent = `${index + 1} / ${frameCount}`;
+        this.elements.playPauseBtn.textContent = playing ? 'PAUSE' : 'PLAY';
+    }
+
     /**
      * Display ASCII result
      * @param {Object} asciiResult - ASCII result object
      */
     displayASCIIResult(asciiResult) {
         this.asciiResult = asciiResult;
-        this.elements.asciiPreview.innerHTML = asciiResult.html;
+        this.navigator.setLayout(asciiResult.width, asciiResult.height, asciiResult.cellAspect);
+        this.showGrid(asciiResult.grid);
         
         setTimeout(() => {
             this.calculateOptimalFontSize();
@@ -142,43 +978,93 @@ export class UIController {
         this.setExportButtonsState(true);
     }
 
+    /**
+     * Display a live camera frame or preview render without moving the page
+     * @param {Object} asciiResult - ASCII result object
+     */
+    displayLiveFrame(asciiResult) {
+        const sizeChanged = !this.asciiResult ||
+            this.asciiResult.width !== asciiResult.width ||
+            this.asciiResult.height !== asciiResult.height;
+
+        this.asciiResult = asciiResult;
+        this.navigator.setLayout(asciiResult.width, asciiResult.height, asciiResult.cellAspect);
+        this.showGrid(asciiResult.grid);
+
+        // Keep a zoom level the user picked; fits follow the new grid size
+        if (sizeChanged) {
+            this.applyASCIIDisplayStyles();
+            this.navigator.refit();
+        }
+    }
+
+    /**
+     * Render a grid into the preview and its minimap
+     * @param {ASCIIGrid} grid - Grid to show
+     */
+    showGrid(grid) {
+        this.displayedGrid = grid;
+        this.elements.asciiPreview.innerHTML = this.gridRenderer.toHTML(grid);
+        this.elements.asciiPreview.classList.add('zoomable');
+        this.elements.zoomControls.hidden = false;
+        this.navigator.drawMinimap(grid, this.gridRenderer.TRANSPARENT_ALPHA);
+    }
+
+    /**
+     * Replace the preview with a status message
+     * @param {string} message - Placeholder text
+     */
+    showPreviewMessage(message) {
+        this.displayedGrid = null;
+        this.navigator.clear();
+        this.elements.asciiPreview.classList.remove('zoomable');
+        this.elements.zoomControls.hidden = true;
+        this.showHoverReadout(null);
+        this.elements.asciiPreview.innerHTML = `<p class="placeholder-text">${message}</p>`;
+    }
+
+    /**
+     * Forget the displayed result and show the ready placeholder
+     */
+    clearASCIIResult() {
+        this.asciiResult = null;
+        this.setASCIIPreviewState('ready');
+    }
+
     /**
      * Calculate and apply optimal font size for ASCII display
+     * @param {boolean} [scroll=true] - Scroll the preview into view afterwards
      */
-    calculateOptimalFontSize() {
+    calculateOptimalFontSize(scroll = true) {
         if (!this.asciiResult) return;
 
-        const containerRect = this.elements.asciiPreview.getBoundingClientRect();
-        const containerWidth = containerRect.width - 30;
-        const containerHeight = Math.max(300, containerRect.height - 30);
-        
-        const asciiWidth = this.asciiResult.width;
-        const asciiHeight = this.asciiResult.height;
-        
-        const maxFontWidthFit = containerWidth / asciiWidth;
-        const maxFontHeightFit = containerHeight / asciiHeight;
-        
-        let optimalFontSize = Math.floor(Math.min(maxFontWidthFit, maxFontHeightFit));
-        optimalFontSize = Math.max(1, Math.min(16, optimalFontSize));
-        
-        this.applyASCIIDisplayStyles(optimalFontSize);
-        this.scrollASCIIIntoView();
+        this.applyASCIIDisplayStyles();
+        this.navigator.fit('auto');
+        if (scroll) {
+            this.scrollASCIIIntoView();
+        }
+    }
+
+    /**
+     * Keep the chosen fit after the window was resized
+     */
+    refitASCIIPreview() {
+        if (!this.asciiResult) return;
+
+        this.navigator.refit();
     }
 
     /**
-     * Apply styling for ASCII display
+     * Apply styling for ASCII display; font size and line height belong to the navigator
      */
-    applyASCIIDisplayStyles(fontSize) {
+    applyASCIIDisplayStyles() {
         const preview = this.elements.asciiPreview;
-        preview.style.fontSize = `${fontSize}px`;
-        preview.style.lineHeight = `${fontSize}px`;
         preview.style.fontFamily = 'Courier New, monospace';
         preview.style.display = 'block';
         preview.style.whiteSpace = 'nowrap';
         preview.style.overflow = 'auto';
         preview.style.textAlign = 'left';
         preview.style.width = '100%';
-        preview.style.height = 'auto';
     }
 
     /**
@@ -196,16 +1082,17 @@ export class UIController {
 
     /**
      * Set ASCII preview state with placeholder text
-     * @param {string} state - State ('ready', 'generating', 'error')
+     * @param {string} state - State ('ready', 'generating', 'cancelled', 'error')
      */
     setASCIIPreviewState(state) {
         const messages = {
             ready: '[ READY FOR CONVERSION ]',
             generating: '[ GENERATING ASCII ART... ]',
+            cancelled: '[ CONVERSION CANCELLED ]',
             error: '[ ERROR GENERATING ASCII ART ]'
         };
         
-        this.elements.asciiPreview.innerHTML = `<p class="placeholder-text">${messages[state]}</p>`;
+        this.showPreviewMessage(messages[state]);
     }
 
     /**
@@ -213,7 +1100,25 @@ export class UIController {
      * @param {number} progress - Progress percentage
      */
     updateProgress(progress) {
-        this.elements.asciiPreview.innerHTML = `<p class="placeholder-text">[ GENERATING... ${progress}% ]</p>`;
+        this.showPreviewMessage(`[ GENERATING... ${progress}% ]`);
+    }
+
+    /**
+     * Update progress while converting animation frames
+     * @param {number} frame - Zero-based frame being converted
+     * @param {number} frameCount - Number of frames
+     * @param {number} progress - Progress percentage of the current frame
+     */
+    updateFrameProgress(frame, frameCount, progress) {
+        this.showPreviewMessage(`[ GENERATING FRAME ${frame + 1}/${frameCount}... ${progress}% ]`);
+    }
+
+    /**
+     * Check whether the preview should follow setting changes
+     * @returns {boolean} Auto preview state
+     */
+    isAutoPreviewEnabled() {
+        return this.elements.autoPreviewCheckbox.checked;
     }
 
     /**
@@ -224,6 +1129,14 @@ export class UIController {
         this.elements.generateBtn.disabled = !enabled;
     }
 
+    /**
+     * Set cancel button state
+     * @param {boolean} enabled - Enable/disable state
+     */
+    setCancelButtonState(enabled) {
+        this.elements.cancelBtn.disabled = !enabled;
+    }
+
     /**
      * Set export buttons state
      * @param {boolean} enabled - Enable/disable state
@@ -231,6 +1144,19 @@ export class UIController {
     setExportButtonsState(enabled) {
         this.elements.copyTextBtn.disabled = !enabled;
         this.elements.downloadImageBtn.disabled = !enabled;
+        this.elements.copyANSIBtn.disabled = !enabled;
+        this.elements.downloadANSIBtn.disabled = !enabled;
+        this.elements.downloadSVGBtn.disabled = !enabled;
+        this.elements.downloadHTMLBtn.disabled = !enabled;
+        this.elements.downloadGIFBtn.disabled = !enabled;
+        this.elements.downloadWebMBtn.disabled = !enabled;
+        this.elements.downloadFramesBtn.disabled = !enabled;
+
+        // Only a finished result can be edited
+        this.elements.editToggleBtn.disabled = !enabled;
+        if (!enabled && this.editing) {
+            this.setEditMode(false);
+        }
     }
 
     /**
@@ -242,26 +1168,296 @@ export class UIController {
 
     /**
      * Show copy success feedback
+     * @param {string} [buttonName] - Element key of the button to flash
      */
-    showCopySuccess() {
-        const originalText = this.elements.copyTextBtn.textContent;
-        this.elements.copyTextBtn.textContent = '> COPIED!';
+    showCopySuccess(buttonName = 'copyTextBtn') {
+        const button = this.elements[buttonName];
+        const originalText = button.textContent;
+        button.textContent = '> COPIED!';
         setTimeout(() => {
-            this.elements.copyTextBtn.textContent = originalText;
+            button.textContent = originalText;
         }, 1000);
     }
 
+    /**
+     * Show export progress on a button while it works
+     * @param {string} buttonName - Element key of the export button
+     * @param {number|null} progress - Progress percentage, or null when finished
+     */
+    setExportProgress(buttonName, progress) {
+        const button = this.elements[buttonName];
+
+        if (progress === null) {
+            button.textContent = button.dataset.label;
+            button.disabled = false;
+            return;
+        }
+
+        button.dataset.label = button.dataset.label || button.textContent;
+        button.textContent = `> EXPORTING... ${progress}%`;
+        button.disabled = true;
+    }
+
     /**
      * Get current configuration values
      */
     getCurrentConfig() {
         return {
-            scale: parseFloat(this.elements.resolutionSelect.value),
-            pixelSize: parseInt(this.elements.pixelSizeSlider.value),
-            downloadQuality: parseInt(this.elements.downloadQualitySelect.value)
+            ...this.conversionSettings.toConfig(this.getSettings()),
+            cropAspect: this.elements.cropAspectSelect.value
         };
     }
 
+    /**
+     * Get every form control covered by settings and presets
+     * @returns {HTMLElement[]} Controls
+     */
+    getSettingsInputs() {
+        return [
+            ...Object.values(this.SETTINGS_CONTROLS).map(key => this.elements[key]),
+            ...this.elements.adjustmentInputs,
+            ...this.elements.batchFormatInputs
+        ];
+    }
+
+    /**
+     * Read all conversion and export settings in a form that can be stored and applied again
+     * @returns {Object} Settings keyed by setting name
+     */
+    getSettings() {
+        const settings = {};
+
+        for (const [name, key] of Object.entries(this.SETTINGS_CONTROLS)) {
+            settings[name] = this.getControlValue(this.elements[key]);
+        }
+        settings.adjustments = this.getAdjustments();
+        settings.batchFormats = this.getBatchFormats();
+
+        return settings;
+    }
+
+    /**
+     * Apply stored settings to the form; unknown or missing settings are left alone
+     * @param {Object} settings - Settings from getSettings
+     */
+    applySettings(settings) {
+        for (const [name, key] of Object.entries(this.SETTINGS_CONTROLS)) {
+            if (name in settings) {
+                this.setControlValue(this.elements[key], settings[name]);
+            }
+        }
+
+        if (settings.adjustments && typeof settings.adjustments === 'object') {
+            this.elements.adjustmentInputs.forEach(input => {
+                if (input.dataset.adjustment in settings.adjustments) {
+                    this.setControlValue(input, settings.adjustments[input.dataset.adjustment]);
+                }
+            });
+        }
+
+        if (Array.isArray(settings.batchFormats)) {
+            this.elements.batchFormatInputs.forEach(input => {
+                this.setControlValue(input, settings.batchFormats.includes(input.dataset.batchFormat));
+            });
+        }
+    }
+
+    /**
+     * Read a form control as a storable value
+     * @param {HTMLInputElement|HTMLSelectElement} element - Control
+     * @returns {string|number|boolean|null} Checked state, number, or text
+     */
+    getControlValue(element) {
+        if (element.type === 'checkbox') {
+            return element.checked;
+        }
+        if (element.type === 'range' || element.type === 'number') {
+            return element.value === '' ? null : parseFloat(element.value);
+        }
+        return element.value;
+    }
+
+    /**
+     * Set a form control and let its own listeners refresh labels and dependent controls
+     * @param {HTMLInputElement|HTMLSelectElement} element - Control
+     * @param {string|number|boolean|null} value - Stored value
+     */
+    setControlValue(element, value) {
+        if (element.type === 'checkbox') {
+            if (typeof value !== 'boolean' || element.checked === value) return;
+            element.checked = value;
+        } else {
+            const text = value === null ? '' : String(value);
+            if (element.value === text) return;
+
+            // Skip options this version does not offer
+            if (element.tagName === 'SELECT' && ![...element.options].some(option => option.value === text)) return;
+            element.value = text;
+        }
+
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Fill the preset list
+     * @param {Object[]} presets - Presets [{ name, settings }]
+     * @param {string} [selectedName] - Preset to select
+     */
+    renderPresets(presets, selectedName = '') {
+        const select = this.elements.presetSelect;
+        select.length = 1;
+
+        presets.forEach(preset => {
+            select.add(new Option(preset.name, preset.name));
+        });
+
+        select.value = presets.some(preset => preset.name === selectedName) ? selectedName : '';
+        this.elements.presetNameInput.value = select.value;
+        this.elements.presetExportBtn.disabled = presets.length === 0;
+        this.updatePresetButtons();
+    }
+
+    /**
+     * Enable rename and delete only while a preset is selected
+     */
+    updatePresetButtons() {
+        const hasSelection = this.elements.presetSelect.value !== '';
+        this.elements.presetRenameBtn.disabled = !hasSelection;
+        this.elements.presetDeleteBtn.disabled = !hasSelection;
+    }
+
+    /**
+     * Show saved conversions in the history gallery
+     * @param {Object[]} entries - History entries, newest first
+     */
+    renderHistory(entries) {
+        const gallery = this.elements.historyGallery;
+
+        this.historyThumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.historyThumbnailUrls = [];
+        gallery.innerHTML = '';
+
+        if (entries.length === 0) {
+            gallery.innerHTML = '<p class="placeholder-text">[ NO CONVERSIONS YET ]</p>';
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            item.dataset.id = entry.id;
+
+            const thumbnail = document.createElement('img');
+            const url = URL.createObjectURL(entry.thumbnail);
+            this.historyThumbnailUrls.push(url);
+            thumbnail.src = url;
+            thumbnail.alt = 'Source thumbnail';
+
+            const size = document.createElement('p');
+            size.textContent = `${entry.cols} x ${entry.rows} ${entry.renderMode.toUpperCase()}` +
+                (entry.frameCount > 1 ? ` / ${entry.frameCount} FRAMES` : '');
+
+            const date = document.createElement('p');
+            date.textContent = new Date(entry.createdAt).toLocaleString();
+
+            const actions = document.createElement('div');
+            actions.className = 'history-actions';
+            for (const [action, label] of [['open', 'OPEN'], ['compare', 'COMPARE'], ['delete', 'DELETE']]) {
+                const button = document.createElement('button');
+                button.className = 'zoom-btn';
+                button.dataset.action = action;
+                button.textContent = label;
+                actions.appendChild(button);
+            }
+
+            item.append(thumbnail, size, date, actions);
+            gallery.appendChild(item);
+        });
+
+        this.elements.clearHistoryBtn.disabled = entries.length === 0;
+    }
+
+    /**
+     * Show how much browser storage the history uses
+     * @param {Object|null} usage - { usage, quota } in bytes, or null when unknown
+     * @param {number} entryCount - Number of saved conversions
+     */
+    updateStorageUsage(usage, entryCount) {
+        const element = this.elements.historyUsage;
+        const formatSize = (bytes) => bytes >= 1024 * 1024 * 1024
+            ? `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`
+            : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+        if (!usage || !usage.quota) {
+            element.textContent = `[ ${entryCount} SAVED / STORAGE USAGE UNAVAILABLE ]`;
+            element.classList.remove('storage-warning');
+            return;
+        }
+
+        const percent = (usage.usage / usage.quota) * 100;
+        element.textContent = `[ ${entryCount} SAVED / STORAGE: ${formatSize(usage.usage)} OF ${formatSize(usage.quota)} (${percent.toFixed(1)}%) ]`;
+        element.classList.toggle('storage-warning', percent >= 80);
+    }
+
+    /**
+     * Explain why the history cannot be used
+     * @param {string} message - Reason
+     */
+    showHistoryUnavailable(message) {
+        this.elements.historyUsage.textContent = `[ HISTORY UNAVAILABLE: ${message.toUpperCase()} ]`;
+        this.elements.historyUsage.classList.add('storage-warning');
+        this.elements.clearHistoryBtn.disabled = true;
+    }
+
+    /**
+     * Show a history entry next to the current result
+     * @param {Object} currentResult - Result on screen
+     * @param {Object} historyResult - Result loaded from history
+     * @param {string} historyTitle - Label for the history result
+     */
+    showComparison(currentResult, historyResult, historyTitle) {
+        this.elements.historyCompare.hidden = false;
+        this.elements.closeCompareBtn.hidden = false;
+        this.elements.compareTitleHistory.textContent = `> ${historyTitle}`;
+
+        // Render both after the panel is visible so the panes have a width
+        this.renderComparePane(this.elements.compareViewCurrent, currentResult);
+        this.renderComparePane(this.elements.compareViewHistory, historyResult);
+        this.elements.historyCompare.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * Render a result into a comparison pane, scaled to the pane width
+     * @param {HTMLElement} pane - Comparison view
+     * @param {Object} asciiResult - Result to show
+     */
+    renderComparePane(pane, asciiResult) {
+        const fontSize = Math.max(1, Math.min(12, Math.floor((pane.clientWidth - 20) / (asciiResult.width * 0.6))));
+        const cellAspect = asciiResult.cellAspect || 0.6;
+
+        pane.style.fontSize = `${fontSize}px`;
+        pane.style.lineHeight = `${fontSize * 0.6 / cellAspect}px`;
+        pane.innerHTML = this.gridRenderer.toHTML(asciiResult.grid);
+    }
+
+    /**
+     * Close the comparison panel
+     */
+    hideComparison() {
+        this.elements.historyCompare.hidden = true;
+        this.elements.closeCompareBtn.hidden = true;
+        this.elements.compareViewCurrent.innerHTML = '';
+        this.elements.compareViewHistory.innerHTML = '';
+    }
+
+    /**
+     * Ask before deleting the whole history
+     * @returns {boolean} Whether the user confirmed
+     */
+    confirmClearHistory() {
+        return window.confirm('Delete every saved conversion from this browser?');
+    }
+
     /**
      * Get uploaded file
      */
@@ -269,6 +1465,129 @@ export class UIController {
         return this.elements.fileInput.files[0];
     }
 
+    /**
+     * Accept files dropped anywhere on the page, highlighting the original preview
+     * @param {Function} onFilesDropped - Receives the dropped files
+     */
+    setupFileDrop(onFilesDropped) {
+        const hasFiles = (e) => e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+        let dragDepth = 0;
+
+        document.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            dragDepth++;
+            this.elements.originalPreview.classList.add('drag-over');
+        });
+
+        document.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        document.addEventListener('dragleave', (e) => {
+            if (!hasFiles(e)) return;
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) {
+                this.elements.originalPreview.classList.remove('drag-over');
+            }
+        });
+
+        document.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            dragDepth = 0;
+            this.elements.originalPreview.classList.remove('drag-over');
+
+            if (e.dataTransfer.files.length > 0) {
+                onFilesDropped([...e.dataTransfer.files]);
+            }
+        });
+    }
+
+    /**
+     * List the files waiting in the batch queue
+     * @param {File[]} files - Queued files
+     */
+    renderBatchQueue(files) {
+        const queue = this.elements.batchQueue;
+        queue.innerHTML = '';
+
+        if (files.length === 0) {
+            queue.innerHTML = '<li class="placeholder-text">[ QUEUE IS EMPTY ]</li>';
+        }
+
+        files.forEach(file => {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            const status = document.createElement('span');
+
+            name.textContent = file.name;
+            status.className = 'batch-status';
+            item.append(name, status);
+            queue.appendChild(item);
+        });
+
+        files.forEach((file, index) => this.setBatchItemStatus(index, 'queued'));
+        this.setBatchRunningState(false, files.length);
+    }
+
+    /**
+     * Show the status of one queued file
+     * @param {number} index - Queue position
+     * @param {string} status - 'queued', 'processing', 'done' or 'failed'
+     * @param {string} [message] - Failure reason
+     */
+    setBatchItemStatus(index, status, message) {
+        const item = this.elements.batchQueue.children[index];
+        const labels = {
+            queued: '[ QUEUED ]',
+            processing: '[ CONVERTING... ]',
+            done: '[ DONE ]',
+            failed: '[ FAILED ]'
+        };
+
+        item.className = `status-${status}`;
+        item.title = message || '';
+        item.querySelector('.batch-status').textContent =
+            message ? `${labels[status]} ${message}` : labels[status];
+    }
+
+    /**
+     * Toggle batch buttons while a batch runs
+     * @param {boolean} running - Whether the batch is running
+     * @param {number} queueLength - Number of queued files
+     */
+    setBatchRunningState(running, queueLength) {
+        this.elements.batchAddBtn.disabled = running;
+        this.elements.batchClearBtn.disabled = running || queueLength === 0;
+        this.elements.batchRunBtn.disabled = running || queueLength === 0;
+        this.elements.batchCancelBtn.disabled = !running;
+    }
+
+    /**
+     * Get the output formats chosen for batch conversion
+     * @returns {string[]} Format keys
+     */
+    getBatchFormats() {
+        return [...this.elements.batchFormatInputs]
+            .filter(input => input.checked)
+            .map(input => input.dataset.batchFormat);
+    }
+
+    /**
+     * Get an image or video file from a paste event
+     * @param {ClipboardEvent} e - Paste event
+     * @returns {File|null} Pasted file
+     */
+    getPastedFile(e) {
+        const items = e.clipboardData ? [...e.clipboardData.items] : [];
+        const item = items.find(entry => entry.kind === 'file' &&
+            (entry.type.startsWith('image/') || entry.type.startsWith('video/')));
+
+        return item ? item.getAsFile() : null;
+    }
+
     /**
      * Show error message
      * @param {string} message - Error message
@@ -304,9 +1623,51 @@ export class UIController {
      */
     setCameraButtonsState(captureEnabled, closeEnabled) {
         this.elements.captureBtn.disabled = !captureEnabled;
+        this.elements.liveBtn.disabled = !captureEnabled;
         this.elements.closeCameraBtn.disabled = !closeEnabled;
     }
 
+    /**
+     * Toggle the live ASCII controls
+     * @param {boolean} isLive - Whether live conversion is running
+     */
+    setLiveState(isLive) {
+        this.elements.liveBtn.textContent = isLive ? '> STOP LIVE ASCII' : '> START LIVE ASCII';
+        this.elements.freezeBtn.disabled = !isLive;
+        this.elements.recordBtn.disabled = !isLive;
+        this.elements.captureBtn.disabled = isLive;
+        this.setGenerateButtonState(!isLive && Boolean(this.currentImage));
+        this.elements.liveStats.hidden = !isLive;
+        this.setRecordingState(false);
+
+        if (isLive) {
+            this.setExportButtonsState(false);
+            this.updateLiveStats({ fps: 0, detail: 1 });
+        }
+    }
+
+    /**
+     * Toggle the record button between start and stop
+     * @param {boolean} isRecording - Whether live frames are being recorded
+     * @param {number} [frameCount=0] - Frames recorded so far
+     */
+    setRecordingState(isRecording, frameCount = 0) {
+        this.elements.recordBtn.textContent = isRecording
+            ? `> STOP RECORDING (${frameCount})`
+            : '> RECORD';
+    }
+
+    /**
+     * Show live conversion frame rate and detail level
+     * @param {Object} stats - Live stats
+     * @param {number} stats.fps - Frames per second
+     * @param {number} stats.detail - Resolution factor (0-1)
+     */
+    updateLiveStats(stats) {
+        this.elements.liveFps.textContent = stats.fps;
+        this.elements.liveDetail.textContent = `${Math.round(stats.detail * 100)}%`;
+    }
+
     /**
      * Enable camera capture when video is ready
      */
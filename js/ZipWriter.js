@@ -0,0 +1,124 @@
+/**
+ * ZipWriter - Builds uncompressed (stored) ZIP archives in memory
+ * PNG frames are already compressed, so storing keeps the writer small and fast
+ */
+export class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.chunks = [];
+        this.offset = 0;
+        this.encoder = new TextEncoder();
+        this.crcTable = ZipWriter.createCRCTable();
+    }
+
+    /**
+     * Build the CRC-32 lookup table
+     * @returns {Uint32Array} Table of 256 entries
+     */
+    static createCRCTable() {
+        const table = new Uint32Array(256);
+
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+
+        return table;
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive
+     * @param {Uint8Array|string} content - File contents
+     */
+    addFile(name, content) {
+        const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+        const nameBytes = this.encoder.encode(name);
+        const crc = this.crc32(data);
+        const { time, date } = this.getDOSDateTime(new Date());
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true); // UTF-8 names
+        header.setUint16(8, 0, true); // Stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        this.entries.push({ nameBytes, crc, size: data.length, time, date, offset: this.offset });
+        this.chunks.push(new Uint8Array(header.buffer), nameBytes, data);
+        this.offset += 30 + nameBytes.length + data.length;
+    }
+
+    /**
+     * Finish the archive
+     * @returns {Blob} ZIP file
+     */
+    toBlob() {
+        const directory = [];
+        let directorySize = 0;
+
+        for (const entry of this.entries) {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014B50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, entry.time, true);
+            header.setUint16(14, entry.date, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            header.setUint32(42, entry.offset, true);
+
+            directory.push(new Uint8Array(header.buffer), entry.nameBytes);
+            directorySize += 46 + entry.nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.chunks, ...directory, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    }
+
+    /**
+     * Compute the CRC-32 of a byte array
+     * @param {Uint8Array} data - Bytes
+     * @returns {number} Unsigned CRC-32
+     */
+    crc32(data) {
+        let crc = 0xFFFFFFFF;
+
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Encode a date in MS-DOS format
+     * @param {Date} now - Date to encode
+     * @returns {Object} { time, date }
+     */
+    getDOSDateTime(now) {
+        return {
+            time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+            date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+        };
+    }
+}
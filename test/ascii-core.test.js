@@ -0,0 +1,169 @@
+/**
+ * Conversion core and command line checks
+ * Run with npm test; no browser is needed
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { promisify } from 'node:util';
+import pngjs from 'pngjs';
+import { ASCIICore } from '../js/ASCIICore.js';
+import { ConversionSettings } from '../js/ConversionSettings.js';
+import { GridRenderer } from '../js/GridRenderer.js';
+
+const CLI = new URL('../bin/ascii-convert.js', import.meta.url).pathname;
+const run = promisify(execFile);
+const hasCanvas = await import('@napi-rs/canvas').then(() => true, () => false);
+
+/**
+ * Build a 40x20 black and white fixture
+ * @param {Function} [isWhite] - (x, y, width, height) => boolean; default is a white right half
+ * @returns {Object} Pixels { data, width, height }
+ */
+function createFixture(isWhite = (x, y, width) => x >= width / 2) {
+    const width = 40;
+    const height = 20;
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = isWhite(x, y, width, height) ? 255 : 0;
+            data.set([value, value, value, 255], (y * width + x) * 4);
+        }
+    }
+
+    return { data, width, height };
+}
+
+/**
+ * Write a fixture as a PNG file
+ * @param {string} path - File path
+ * @param {Object} image - Pixels { data, width, height }
+ */
+async function writePNG(path, { data, width, height }) {
+    const png = new pngjs.PNG({ width, height });
+    png.data.set(data);
+    await writeFile(path, pngjs.PNG.sync.write(png));
+}
+
+const settings = { sizingMode: 'columns', targetCols: 8, rampPreset: 'classic', colorMode: 'monochrome' };
+
+test('ASCIICore converts pixels to the requested grid', async () => {
+    const image = createFixture();
+    const original = image.data.slice();
+    const config = new ConversionSettings().toConfig(settings);
+
+    const result = await new ASCIICore().convert(image, config);
+
+    assert.equal(result.width, 8);
+    assert.equal(result.height, 2);
+    assert.equal(new GridRenderer().toPlainText(result.grid), '    @@@@\n    @@@@');
+    assert.deepEqual(image.data, original, 'source pixels are left unchanged');
+});
+
+test('ASCIICore applies the region before sizing', async () => {
+    const core = new ASCIICore();
+    const renderer = new GridRenderer();
+    const convert = async (region, image = createFixture()) =>
+        renderer.toPlainText((await core.convert(image, new ConversionSettings().toConfig(settings), region)).grid);
+    const region = { rotation: 0, flipH: false, flipV: false, crop: null };
+
+    assert.equal(await convert({ ...region, rotation: 180 }), '@@@@    \n@@@@    ');
+    assert.equal(await convert({ ...region, flipH: true }), '@@@@    \n@@@@    ');
+
+    // White top half, so a vertical flip moves it down
+    const topWhite = createFixture((x, y, width, height) => y < height / 2);
+    assert.equal(await convert(region, topWhite), '@@@@@@@@\n        ');
+    assert.equal(await convert({ ...region, flipV: true }, topWhite), '        \n@@@@@@@@');
+
+    // The right half alone is all white; the grid keeps its 8 columns and follows the crop's shape
+    const crop = { x: 0.5, y: 0, width: 0.5, height: 1 };
+    assert.equal(await convert({ ...region, crop }), '@@@@@@@@\n@@@@@@@@\n@@@@@@@@\n@@@@@@@@\n@@@@@@@@');
+});
+
+test('ASCIICore keeps half-blocks two-tone in monochrome', async () => {
+    const config = new ConversionSettings().toConfig({ ...settings, renderMode: 'halfblock', inkColor: '#ff0000' });
+
+    // White top quarter of the right half: upper half-blocks there, blank elsewhere
+    const image = createFixture((x, y, width, height) => x >= width / 2 && y < height / 4);
+    const result = await new ASCIICore().convert(image, config);
+
+    assert.equal(new GridRenderer().toPlainText(result.grid), '    ▀▀▀▀\n        ');
+    assert.ok(result.grid.backgrounds.every((value, index) => index % 4 !== 3 || value === 0), 'no backgrounds');
+    assert.deepEqual(result.grid.getCell(4, 0), { ...result.grid.getCell(4, 0), r: 255, g: 0, b: 0 });
+});
+
+test('ASCIICore rejects sizing the page does not offer', async () => {
+    const core = new ASCIICore();
+    const convert = (overrides) =>
+        core.convert(createFixture(), new ConversionSettings().toConfig({ ...settings, ...overrides }));
+
+    await assert.rejects(convert({ targetCols: 0 }), /column count/);
+    await assert.rejects(convert({ sizingMode: 'scale', scale: 3 }), /resolution scale/);
+});
+
+test('ascii-convert writes every output format', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'ascii-convert-'));
+    const input = join(dir, 'fixture.png');
+    await writePNG(input, createFixture());
+
+    // A two-character ramp keeps the same order whichever font measures it
+    const args = [CLI, input, '--cols', '8', '--ramp', 'custom', '--custom-ramp', ' @', '--aspect', '0.6'];
+    const convert = async (...extra) => (await run(process.execPath, [...args, ...extra])).stdout;
+
+    try {
+        await t.test('txt', async () => {
+            assert.equal((await convert()).trimEnd(), '    @@@@\n    @@@@');
+
+            await convert('-o', join(dir, 'out.txt'));
+            assert.equal((await readFile(join(dir, 'out.txt'), 'utf8')).trimEnd(), '    @@@@\n    @@@@');
+        });
+
+        await t.test('ans', async () => {
+            const lines = (await convert('-f', 'ans', '--color', 'monochrome', '--ink', '#ff0000')).trimEnd().split('\n');
+
+            assert.equal(lines.length, 2);
+            for (const line of lines) {
+                assert.match(line, /\x1b\[38;2;255;0;0m/);
+                assert.ok(line.endsWith('\x1b[0m'), 'line ends with a reset');
+                assert.equal(line.replace(/\x1b\[[0-9;]*m/g, ''), '    @@@@');
+            }
+        });
+
+        await t.test('html', async () => {
+            const html = await convert('-f', 'html');
+
+            assert.match(html, /^<!DOCTYPE html>/);
+            assert.match(html, /<pre>[^]*@@@@[^]*<\/pre>/);
+        });
+
+        await t.test('svg', async () => {
+            await convert('-o', join(dir, 'out.svg'));
+            const svg = await readFile(join(dir, 'out.svg'), 'utf8');
+
+            assert.match(svg, /^<\?xml/);
+            assert.match(svg, /<svg [^>]*viewBox=/);
+            assert.match(svg, />@@@@</);
+        });
+
+        await t.test('png', { skip: !hasCanvas && '@napi-rs/canvas is not installed' }, async () => {
+            await convert('-o', join(dir, 'out.png'));
+            const png = pngjs.PNG.sync.read(await readFile(join(dir, 'out.png')));
+
+            assert.ok(png.width > 0 && png.height > 0);
+        });
+
+        await t.test('invalid settings exit with an error', async () => {
+            await assert.rejects(convert('--scale', '3', '--sizing', 'scale'), (error) => {
+                assert.equal(error.code, 1);
+                assert.match(error.stderr, /^ascii-convert: Choose a resolution scale/);
+                return true;
+            });
+        });
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});